@@ -1,51 +1,171 @@
-﻿import { IMAGE_MAX_BYTES, createEmptySauna, nextRevision, sanitizeSauna, validateSauna } from "./domain/sauna.js";
-import { loadInitialData, getAll, getById, upsert, remove } from "./services/saunaStore.js";
+﻿import { IMAGE_MAX_BYTES, createEmptySauna, duplicateSauna, nextRevision, sanitizeSauna, validateSauna } from "./domain/sauna.js";
+import { createLengthVariants, parseLengthList } from "./domain/saunaVariants.js";
+import {
+  loadInitialData,
+  acceptSeedOffer,
+  getAll,
+  getById,
+  getRevision,
+  getRevisions,
+  getAllTags,
+  getMeta,
+  querySaunas,
+  getOutbox,
+  getSaunaBackendId,
+  setMeta,
+  setOutboxEnabled,
+  setSaunaBackend,
+  upsert,
+  remove,
+  replaceAll,
+} from "./services/saunaStore.js";
+import { REVISION_CONFLICT, checkServerHealth, createRestBackend } from "./services/restBackend.js";
+import { resolveConflict, synchronize } from "./services/syncService.js";
+import { diffSaunas, formatFieldValue, getFieldLabel } from "./domain/saunaDiff.js";
+import {
+  FROST_DEPTH_TABLE_VERSION,
+  FROST_REGIONS,
+  FROST_SOIL_CLASSES,
+  formatFrostDepthPreset,
+  resolveFrostDepthPreset,
+} from "./domain/frostDepthPresets.js";
+import { SOIL_TYPES, computeGroundPressure, formatLoadSummary } from "./domain/groundPressure.js";
+import { computeFirstFootOffset, distributeFeet } from "./domain/footGeometry.js";
 import { generatePlanSvg } from "./services/planGenerator.js";
 import { exportPlan } from "./services/planExporter.js";
-import { composePlanDocument } from "./services/planLayoutEngine.js";
+import { composeDrawingPage, composeImagePages, composePlanDocument, composeTablePage } from "./services/planLayoutEngine.js";
+import { generateSectionSvg } from "./services/sectionGenerator.js";
+import { computeConcreteTakeoff, formatConcreteSummary, toConcreteTable } from "./services/materialCalculator.js";
+import { computeReinforcement, formatReinforcementSummary, toBarScheduleTable } from "./services/reinforcementPlanner.js";
 import { getDefaultTemplate, getTemplateById, listTemplates } from "./services/templateRegistry.js";
+import { compareDerivedMetrics, composeComparisonSvg } from "./services/planComparison.js";
+import { downloadCatalog, mergeCatalog, parseCatalog } from "./services/catalogTransfer.js";
+import { createEditorHistory } from "./services/editorHistory.js";
+import { describeDistanceInput, fromDistanceInputs, toDistanceInputs } from "./services/footLayout.js";
+import {
+  DEFAULT_IMAGE_PROCESSING,
+  formatBytes,
+  processImageFile,
+  sanitizeImageProcessingSettings,
+} from "./services/imageProcessor.js";
 
 const ALLOWED_IMAGE_TYPES = ["image/png", "image/jpeg", "image/webp"];
+const HISTORY_INPUT_DELAY_MS = 400;
+const DRAFT_SAVE_DELAY_MS = 1000;
+const DRAFT_META_KEY = "draft";
+const IMAGE_PROCESSING_META_KEY = "imageProcessing";
+const STORE_BACKEND_META_KEY = "storeBackend";
+const SYNC_INTERVAL_MS = 60000;
+const SYNC_AFTER_CHANGE_DELAY_MS = 2000;
 
 const state = {
   selectedId: "",
   activeEditorTab: "config",
   saunas: [],
+  // Gefilterte Liste fuer die Seitenleiste; saunas bleibt der vollstaendige Katalog.
+  listedSaunas: [],
+  tags: [],
   dirty: false,
   runtimeWarnings: [],
   currentImages: [],
+  draggedImageId: "",
+  imageProcessing: { ...DEFAULT_IMAGE_PROCESSING },
   previewSvg: null,
   composedDocument: null,
+  // Warnungen der letzten Vorschau; der Export ergaenzt sie um die Warnungen der Anhangseiten.
+  previewWarnings: [],
   templates: listTemplates(),
+  // Zeitstempel aendern sich bei jedem readFormData und sind kein eigener Undo-Schritt.
+  history: createEditorHistory({ toKey: (sauna) => JSON.stringify({ ...sauna, updatedAt: "" }) }),
+  historyTimer: null,
+  draftTimer: null,
+  // Offline-Abgleich: gesetzt, solange der Speicherort "sync" gewaehlt ist.
+  syncRemote: null,
+  syncRunning: false,
+  syncMessage: "",
+  syncConflicts: [],
+  syncTimer: null,
 };
 
 const elements = {
   saunaList: document.getElementById("sauna-list"),
+  listSearch: document.getElementById("field-list-search"),
+  listSort: document.getElementById("field-list-sort"),
+  listTag: document.getElementById("field-list-tag"),
   form: document.getElementById("sauna-form"),
   name: document.getElementById("field-name"),
+  tags: document.getElementById("field-tags"),
   barrelLength: document.getElementById("field-barrel-length"),
   barrelWidth: document.getElementById("field-barrel-width"),
   footWidth: document.getElementById("field-foot-width"),
   footThickness: document.getElementById("field-foot-thickness"),
   foundationWidth: document.getElementById("field-foundation-width"),
   foundationDepth: document.getElementById("field-foundation-depth"),
+  frostRegion: document.getElementById("field-frost-region"),
+  frostSoilClass: document.getElementById("field-frost-soil-class"),
+  frontOverhang: document.getElementById("field-front-overhang"),
+  rearOverhang: document.getElementById("field-rear-overhang"),
+  foundationType: document.getElementById("field-foundation-type"),
+  emptyWeight: document.getElementById("field-empty-weight"),
+  peopleLoad: document.getElementById("field-people-load"),
+  snowLoad: document.getElementById("field-snow-load"),
+  soilType: document.getElementById("field-soil-type"),
+  pointFoundationSize: document.getElementById("field-point-foundation-size"),
+  pointFoundationInset: document.getElementById("field-point-foundation-inset"),
   distanceList: document.getElementById("distance-list"),
+  footOverrideList: document.getElementById("foot-override-list"),
+  distanceMode: document.getElementById("field-distance-mode"),
+  distanceModeHint: document.getElementById("distance-mode-hint"),
+  distanceDimensionMode: document.getElementById("field-distance-dimension-mode"),
+  distributionCount: document.getElementById("field-distribution-count"),
+  distributionStrategy: document.getElementById("field-distribution-strategy"),
+  distributionFactor: document.getElementById("field-distribution-factor"),
+  distributionGrid: document.getElementById("field-distribution-grid"),
+  btnDistribute: document.getElementById("btn-distribute"),
   warningList: document.getElementById("warning-list"),
   preview: document.getElementById("svg-preview"),
+  materialSummary: document.getElementById("material-summary"),
+  revisionList: document.getElementById("revision-list"),
+  revisionPreview: document.getElementById("revision-preview"),
   imageUpload: document.getElementById("input-image-upload"),
   imageGallery: document.getElementById("image-gallery"),
+  imageMaxEdge: document.getElementById("field-image-max-edge"),
+  imageQuality: document.getElementById("field-image-quality"),
   exportFormat: document.getElementById("field-export-format"),
   templateId: document.getElementById("field-template-id"),
   dimFontSize: document.getElementById("field-dim-font-size"),
+  sectionView: document.getElementById("field-section-view"),
+  includeAppendix: document.getElementById("field-include-appendix"),
+  showReinforcement: document.getElementById("field-show-reinforcement"),
   tabConfig: document.getElementById("tab-config"),
   tabPlan: document.getElementById("tab-plan"),
+  tabCompare: document.getElementById("tab-compare"),
   panelConfig: document.getElementById("panel-config"),
   panelPlan: document.getElementById("panel-plan"),
+  panelCompare: document.getElementById("panel-compare"),
+  compareA: document.getElementById("field-compare-a"),
+  compareB: document.getElementById("field-compare-b"),
+  compareTable: document.getElementById("compare-table"),
+  comparePreview: document.getElementById("compare-preview"),
   btnNew: document.getElementById("btn-new"),
   btnDelete: document.getElementById("btn-delete"),
+  btnDuplicate: document.getElementById("btn-duplicate"),
+  btnCreateVariants: document.getElementById("btn-create-variants"),
+  variantLengths: document.getElementById("field-variant-lengths"),
+  variantStrategy: document.getElementById("field-variant-strategy"),
   btnSave: document.getElementById("btn-save"),
   btnExport: document.getElementById("btn-export"),
   btnAddDistance: document.getElementById("btn-add-distance"),
+  btnUndo: document.getElementById("btn-undo"),
+  btnRedo: document.getElementById("btn-redo"),
+  btnCatalogExport: document.getElementById("btn-catalog-export"),
+  catalogImport: document.getElementById("input-catalog-import"),
+  importMode: document.getElementById("field-import-mode"),
+  storeBackend: document.getElementById("field-store-backend"),
+  syncStatus: document.getElementById("sync-status"),
+  syncStatusText: document.getElementById("sync-status-text"),
+  btnSync: document.getElementById("btn-sync"),
+  syncConflict: document.getElementById("sync-conflict"),
 };
 
 init().catch((error) => {
@@ -54,21 +174,81 @@ init().catch((error) => {
 
 async function init() {
   renderTemplateOptions();
-  await loadInitialData();
-  await refreshSaunas();
+  renderSoilOptions();
+  renderFrostPresetOptions();
+  const backendWarnings = await applyStoreBackend(await getMeta(STORE_BACKEND_META_KEY));
+  setRuntimeWarnings([...backendWarnings, ...(await loadModels())]);
+  const draft = await getMeta(DRAFT_META_KEY);
+  state.imageProcessing = sanitizeImageProcessingSettings(await getMeta(IMAGE_PROCESSING_META_KEY));
+  writeImageProcessingSettings();
 
   state.selectedId = state.saunas.length > 0 ? state.saunas[0].id : "";
   bindEvents();
   setActiveEditorTab("config");
+
+  if (draft && draft.sauna) {
+    await offerDraftRestore(draft);
+  }
+
   renderSaunaList();
 
-  if (state.selectedId) {
-    await loadSelectedIntoForm();
-  } else {
-    writeFormData(createEmptySauna());
+  if (!state.dirty) {
+    if (state.selectedId) {
+      await loadSelectedIntoForm();
+    } else {
+      loadIntoEditor(createEmptySauna());
+      await renderRevisionHistory();
+    }
   }
 
   renderPreview();
+  scheduleSync(0);
+}
+
+/**
+ * Laedt die Modelle des aktuellen Speicherorts; lokal werden dabei die Standardmodelle abgeglichen.
+ * @returns {Promise<string[]>} Hinweise fuer die Warnliste
+ */
+async function loadModels() {
+  const initial = await loadInitialData();
+
+  if (initial.seedOffer.length > 0) {
+    const names = initial.seedOffer.map((sauna) => sauna.name).join(", ");
+    if (window.confirm(`Neue Standardmodelle verfuegbar: ${names}. Jetzt hinzufuegen?`)) {
+      await acceptSeedOffer(initial.seedOffer);
+    }
+  }
+
+  await refreshSaunas();
+  return initial.warnings;
+}
+
+/**
+ * Bietet einen beim letzten Beenden nicht gespeicherten Entwurf zur Wiederherstellung an.
+ * Der gespeicherte Stand bleibt Ausgangspunkt des Undo-Verlaufs.
+ * @param {{ sauna: import("./domain/sauna.js").Sauna, savedAt: string }} draft
+ */
+async function offerDraftRestore(draft) {
+  const restored = sanitizeSauna(draft.sauna);
+  const stored = await getById(restored.id);
+
+  if (!stored) {
+    setRuntimeWarnings([...state.runtimeWarnings, `Entwurf fuer "${restored.name}" verworfen: Modell existiert nicht mehr.`]);
+    await discardDraft();
+    return;
+  }
+
+  const question = `Ungespeicherter Entwurf fuer "${restored.name}" vom ${formatTimestamp(draft.savedAt)} gefunden. Wiederherstellen?`;
+  if (!window.confirm(question)) {
+    await discardDraft();
+    return;
+  }
+
+  state.selectedId = stored.id;
+  loadIntoEditor(stored);
+  writeFormData({ ...restored, revision: stored.revision, createdAt: stored.createdAt });
+  recordHistory();
+  await renderRevisionHistory();
 }
 
 function bindEvents() {
@@ -80,62 +260,191 @@ function bindEvents() {
     setActiveEditorTab("plan");
   });
 
+  elements.tabCompare.addEventListener("click", () => {
+    setActiveEditorTab("compare");
+  });
+
+  for (const select of [elements.compareA, elements.compareB]) {
+    select.addEventListener("change", () => {
+      renderComparison();
+    });
+  }
+
   elements.btnNew.addEventListener("click", async () => {
+    if (!confirmDiscardChanges()) return;
     state.runtimeWarnings = [];
     const created = createEmptySauna();
-    await upsert(created);
-    await refreshSaunas();
-    state.selectedId = created.id;
-    state.dirty = false;
-    renderSaunaList();
-    await loadSelectedIntoForm();
-    renderPreview();
+    try {
+      await upsert(created);
+      await openCreatedSauna(created.id);
+    } catch (error) {
+      reportStoreFailure("Anlegen", error);
+    }
+  });
+
+  elements.btnDuplicate.addEventListener("click", async () => {
+    try {
+      const source = await getById(state.selectedId);
+      if (!source || !confirmDiscardChanges()) return;
+      state.runtimeWarnings = [];
+      const copy = duplicateSauna(source);
+      await upsert(copy);
+      await openCreatedSauna(copy.id);
+    } catch (error) {
+      reportStoreFailure("Duplizieren", error);
+    }
+  });
+
+  elements.btnCreateVariants.addEventListener("click", async () => {
+    let source;
+    try {
+      source = await getById(state.selectedId);
+    } catch (error) {
+      reportStoreFailure("Varianten anlegen", error);
+      return;
+    }
+    if (!source) return;
+    const lengths = parseLengthList(elements.variantLengths.value);
+    if (lengths.length === 0) {
+      setRuntimeWarnings(["Varianten: bitte mindestens eine Fasslaenge angeben, z. B. 180/200/220."]);
+      renderPreview();
+      return;
+    }
+    if (!confirmDiscardChanges()) return;
+
+    const { variants, errors } = createLengthVariants(source, lengths, {
+      strategy: elements.variantStrategy.value === "symmetric" ? "symmetric" : "equal",
+    });
+    try {
+      for (const variant of variants) {
+        await upsert(variant);
+      }
+      state.runtimeWarnings = errors.map((error) => `Variante nicht angelegt (${error})`);
+      if (variants.length > 0) {
+        await openCreatedSauna(variants[0].id);
+      } else {
+        renderPreview();
+      }
+    } catch (error) {
+      reportStoreFailure("Varianten anlegen", error);
+    }
   });
 
   elements.btnDelete.addEventListener("click", async () => {
     if (!state.selectedId) return;
-    await remove(state.selectedId);
-    await refreshSaunas();
+    try {
+      await remove(state.selectedId);
+      await refreshSaunas();
+      scheduleSync();
+
+      state.selectedId = state.saunas.length > 0 ? state.saunas[0].id : "";
+      state.dirty = false;
+      state.runtimeWarnings = [];
+      renderSaunaList();
+
+      if (state.selectedId) {
+        await loadSelectedIntoForm();
+      } else {
+        loadIntoEditor(createEmptySauna());
+        await renderRevisionHistory();
+      }
 
-    state.selectedId = state.saunas.length > 0 ? state.saunas[0].id : "";
-    state.dirty = false;
-    state.runtimeWarnings = [];
-    renderSaunaList();
+      renderPreview();
+    } catch (error) {
+      reportStoreFailure("Loeschen", error);
+    }
+  });
 
-    if (state.selectedId) {
-      await loadSelectedIntoForm();
-    } else {
-      writeFormData(createEmptySauna());
+  elements.btnCatalogExport.addEventListener("click", async () => {
+    try {
+      downloadCatalog(await getAll({ includeImages: true }));
+    } catch (error) {
+      reportStoreFailure("Katalogexport", error);
     }
+  });
 
-    renderPreview();
+  elements.catalogImport.addEventListener("change", async (event) => {
+    const input = /** @type {HTMLInputElement} */ (event.target);
+    const file = input.files && input.files[0];
+    if (!file) return;
+    if (!confirmDiscardChanges()) {
+      input.value = "";
+      return;
+    }
+
+    try {
+      await importCatalogFile(file, elements.importMode.value === "replace" ? "replace" : "merge");
+    } catch (error) {
+      setRuntimeWarnings([`Katalogimport fehlgeschlagen: ${error.message}`]);
+      renderPreview();
+    }
+    input.value = "";
   });
 
   elements.btnAddDistance.addEventListener("click", () => {
     const data = readFormData();
     data.config.footDistances.push(80);
     writeFormData(data);
-    state.dirty = true;
+    recordHistory();
     renderPreviewDebounced();
   });
 
+  elements.btnDistribute.addEventListener("click", () => {
+    const data = readFormData();
+    try {
+      const result = distributeFeet(data.config, {
+        footCount: parseNumber(elements.distributionCount.value),
+        frontOverhang: data.config.frontOverhang,
+        rearOverhang: data.config.rearOverhang,
+        strategy: elements.distributionStrategy.value === "symmetric" ? "symmetric" : "equal",
+        middleFactor: parseNumber(elements.distributionFactor.value),
+        gridCm: parseNumber(elements.distributionGrid.value),
+      });
+      data.config = { ...data.config, ...result };
+      state.runtimeWarnings = [];
+    } catch (error) {
+      setRuntimeWarnings([`Automatische Verteilung nicht moeglich: ${error.message}`]);
+      renderPreview();
+      return;
+    }
+    writeFormData(data);
+    recordHistory();
+    renderPreview();
+  });
+
   elements.form.addEventListener("submit", async (event) => {
     event.preventDefault();
     state.runtimeWarnings = [];
 
-    const previous = await getById(elements.form.dataset.saunaId || "");
     const raw = readFormData();
+    let finalSauna;
 
-    const prepared = sanitizeSauna({
-      ...raw,
-      createdAt: previous?.createdAt || raw.createdAt,
-      revision: previous?.revision || raw.revision,
-    });
+    try {
+      const previous = await getById(elements.form.dataset.saunaId || "");
+
+      // Basis ist der in den Editor geladene Stand; einen inzwischen neueren Stand nicht ueberschreiben.
+      if (previous && previous.revision > raw.revision) {
+        reportSaveConflict(raw, previous);
+        return;
+      }
 
-    const finalSauna = previous ? nextRevision(prepared) : prepared;
+      const prepared = sanitizeSauna({
+        ...raw,
+        createdAt: previous?.createdAt || raw.createdAt,
+      });
 
-    await upsert(finalSauna);
+      finalSauna = previous ? nextRevision(prepared) : prepared;
+      await upsert(finalSauna);
+    } catch (error) {
+      if (error.code === REVISION_CONFLICT) {
+        reportSaveConflict(raw, error.current ? sanitizeSauna(error.current) : null);
+      } else {
+        reportStoreFailure("Speichern", error);
+      }
+      return;
+    }
     await refreshSaunas();
+    scheduleSync();
 
     state.selectedId = finalSauna.id;
     state.dirty = false;
@@ -146,9 +455,44 @@ function bindEvents() {
 
   elements.form.addEventListener("input", () => {
     state.dirty = true;
+    scheduleHistoryRecord();
     renderPreviewDebounced();
   });
 
+  elements.btnUndo.addEventListener("click", () => {
+    applyHistoryStep("undo");
+  });
+
+  elements.btnRedo.addEventListener("click", () => {
+    applyHistoryStep("redo");
+  });
+
+  document.addEventListener("keydown", (event) => {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    const key = event.key.toLowerCase();
+    const step = key === "z" && !event.shiftKey ? "undo" : key === "y" || (key === "z" && event.shiftKey) ? "redo" : "";
+    if (!step) return;
+
+    // Nur im Editor gilt der Editor-Verlauf statt des nativen Feld-Undos. Die Bildimport-Einstellungen
+    // stehen zwar im Formular, gehoeren aber nicht zum Modell.
+    const target = event.target;
+    if (!elements.form.contains(target) || target === elements.imageMaxEdge || target === elements.imageQuality) return;
+    event.preventDefault();
+    applyHistoryStep(step);
+  });
+
+  window.addEventListener("beforeunload", (event) => {
+    if (!state.dirty) return;
+
+    // Entwurf sofort sichern; der Browser fragt zusaetzlich vor dem Schliessen nach.
+    if (state.historyTimer) {
+      recordHistory();
+    }
+    saveDraft();
+    event.preventDefault();
+    event.returnValue = "";
+  });
+
   elements.form.addEventListener("paste", async (event) => {
     const clipboardItems = event.clipboardData?.items;
     if (!clipboardItems || clipboardItems.length === 0) return;
@@ -175,26 +519,154 @@ function bindEvents() {
     const button = event.target.closest("button[data-action='remove-distance']");
     if (!button) return;
 
-    const index = Number(button.dataset.index);
-    const data = readFormData();
-    data.config.footDistances.splice(index, 1);
-    writeFormData(data);
-    state.dirty = true;
+    // Zeile entfernen und die uebrigen Eingaben umrechnen; ab Fassende bleiben so die anderen Positionen erhalten.
+    button.closest(".distance-row").remove();
+    writeFormData(readFormData());
+    recordHistory();
     renderPreview();
   });
 
+  const refreshListDebounced = debounce(async () => {
+    await refreshSaunas();
+    renderSaunaList();
+  }, 150);
+  elements.listSearch.addEventListener("input", refreshListDebounced);
+  elements.listSort.addEventListener("change", refreshListDebounced);
+  elements.listTag.addEventListener("change", refreshListDebounced);
+
+  elements.storeBackend.addEventListener("change", async () => {
+    const requested = elements.storeBackend.value;
+    if (!confirmDiscardChanges()) {
+      elements.storeBackend.value = getStoreBackendId();
+      return;
+    }
+
+    try {
+      const warnings = await applyStoreBackend(requested);
+      await setMeta(STORE_BACKEND_META_KEY, getStoreBackendId());
+      warnings.push(...(await loadModels()));
+
+      state.selectedId = state.saunas.length > 0 ? state.saunas[0].id : "";
+      state.dirty = false;
+      setRuntimeWarnings(warnings);
+      renderSaunaList();
+
+      if (state.selectedId) {
+        await loadSelectedIntoForm();
+      } else {
+        loadIntoEditor(createEmptySauna());
+        await renderRevisionHistory();
+      }
+
+      renderPreview();
+      scheduleSync(0);
+    } catch (error) {
+      reportStoreFailure("Wechsel des Speicherorts", error);
+    }
+  });
+
+  elements.btnSync.addEventListener("click", () => {
+    scheduleSync(0);
+  });
+
+  // Nach einem Verbindungsabbruch sofort, sonst regelmaessig abgleichen, um Aenderungen anderer abzuholen.
+  window.addEventListener("online", () => {
+    scheduleSync(0);
+  });
+  window.addEventListener("offline", () => {
+    renderSyncStatus("Offline");
+  });
+  setInterval(() => {
+    scheduleSync(0);
+  }, SYNC_INTERVAL_MS);
+
+  elements.syncConflict.addEventListener("click", async (event) => {
+    const button = event.target.closest("button[data-action]");
+    const conflict = state.syncConflicts[0];
+    if (!button || !conflict) return;
+
+    const action = button.dataset.action;
+    if (action === "choose-all-local" || action === "choose-all-remote") {
+      const side = action === "choose-all-local" ? "local" : "remote";
+      for (const radio of elements.syncConflict.querySelectorAll(`input[type='radio'][value='${side}']`)) {
+        radio.checked = true;
+      }
+      return;
+    }
+    if (action === "defer-conflict") {
+      // Der Konflikt bleibt in der Warteschlange und erscheint beim naechsten Abgleich wieder.
+      state.syncConflicts = state.syncConflicts.slice(1);
+      renderSyncConflict();
+      await renderSyncStatus();
+      return;
+    }
+    if (action === "resolve-conflict") {
+      await resolveSyncConflict(conflict);
+    }
+  });
+
   elements.saunaList.addEventListener("click", async (event) => {
     const button = event.target.closest("button[data-id]");
     if (!button) return;
 
-    state.selectedId = button.dataset.id || "";
+    const nextId = button.dataset.id || "";
+    if (nextId === state.selectedId || !confirmDiscardChanges()) return;
+
+    const previousId = state.selectedId;
+    state.selectedId = nextId;
     state.dirty = false;
     state.runtimeWarnings = [];
     renderSaunaList();
-    await loadSelectedIntoForm();
+    try {
+      await loadSelectedIntoForm();
+      renderPreview();
+    } catch (error) {
+      // Der Editor zeigt weiter das bisherige Modell; die Auswahl muss dazu passen.
+      state.selectedId = previousId;
+      renderSaunaList();
+      reportStoreFailure("Laden", error);
+    }
+  });
+
+  elements.revisionList.addEventListener("click", async (event) => {
+    const button = event.target.closest("button[data-action][data-revision]");
+    if (!button) return;
+
+    let entry;
+    try {
+      entry = await getRevision(state.selectedId, Number(button.dataset.revision));
+    } catch (error) {
+      reportStoreFailure("Laden der Revision", error);
+      return;
+    }
+    if (!entry) return;
+
+    if (button.dataset.action === "preview-revision") {
+      renderRevisionPreview(entry);
+      return;
+    }
+
+    // Wiederherstellen laedt den alten Stand samt Bildern in den Editor; erst Speichern erzeugt eine neue Revision.
+    // Revisionen ohne gespeicherte Bildangaben behalten die aktuellen Bilder.
+    const current = readFormData();
+    writeFormData({
+      ...entry.snapshot,
+      id: current.id,
+      revision: current.revision,
+      createdAt: current.createdAt,
+      images: entry.includesImages ? entry.snapshot.images : current.images,
+    });
+    recordHistory();
+    setRuntimeWarnings([`Revision r${entry.revision} wiederhergestellt. Zum Uebernehmen speichern.`]);
     renderPreview();
   });
 
+  elements.revisionPreview.addEventListener("click", (event) => {
+    if (!event.target.closest("button[data-action='close-revision-preview']")) return;
+    elements.revisionPreview.hidden = true;
+    elements.revisionPreview.innerHTML = "";
+  });
+
   elements.imageUpload.addEventListener("change", async (event) => {
     const input = /** @type {HTMLInputElement} */ (event.target);
     const file = input.files && input.files[0];
@@ -204,24 +676,144 @@ function bindEvents() {
     input.value = "";
   });
 
+  // Importeinstellungen gehoeren nicht zum Modell: nicht in den Undo-Verlauf, sondern direkt in die Settings.
+  for (const input of [elements.imageMaxEdge, elements.imageQuality]) {
+    input.addEventListener("input", (event) => {
+      event.stopPropagation();
+    });
+    input.addEventListener("change", async () => {
+      state.imageProcessing = sanitizeImageProcessingSettings({
+        maxEdgePx: parseNumber(elements.imageMaxEdge.value),
+        quality: parseNumber(elements.imageQuality.value) / 100,
+      });
+      writeImageProcessingSettings();
+      try {
+        await setMeta(IMAGE_PROCESSING_META_KEY, state.imageProcessing);
+      } catch (error) {
+        reportStoreFailure("Speichern der Importeinstellungen", error);
+      }
+    });
+  }
+
   elements.imageGallery.addEventListener("click", (event) => {
-    const button = event.target.closest("button[data-action='remove-image']");
+    const button = event.target.closest("button[data-action]");
     if (!button) return;
 
     const imageId = button.dataset.imageId || "";
-    state.currentImages = state.currentImages.filter((image) => image.id !== imageId);
+    if (button.dataset.action === "remove-image") {
+      state.currentImages = state.currentImages.filter((image) => image.id !== imageId);
+    } else if (button.dataset.action === "move-image") {
+      const index = state.currentImages.findIndex((image) => image.id === imageId);
+      moveImage(imageId, index + Number(button.dataset.step));
+    } else {
+      return;
+    }
     renderImageGallery();
-    state.dirty = true;
+    recordHistory();
     renderPreview();
   });
 
+  elements.imageGallery.addEventListener("change", (event) => {
+    const input = event.target.closest("input[type='checkbox'][data-action]");
+    if (!input) return;
+
+    const imageId = input.dataset.imageId || "";
+    if (input.dataset.action === "toggle-primary-image") {
+      // Hoechstens ein Hauptbild: Markieren nimmt die Markierung der anderen Bilder zurueck.
+      state.currentImages = state.currentImages.map((image) => ({
+        ...image,
+        isPrimary: image.id === imageId ? input.checked : input.checked ? false : image.isPrimary,
+      }));
+    } else if (input.dataset.action === "toggle-image-export") {
+      state.currentImages = state.currentImages.map((image) =>
+        image.id === imageId ? { ...image, includeInExport: input.checked } : image
+      );
+    } else {
+      return;
+    }
+    renderImageGallery();
+    recordHistory();
+    renderPreview();
+  });
+
+  // Undo-Schritt und Vorschau plant der input-Listener der Form ein.
+  elements.imageGallery.addEventListener("input", (event) => {
+    const input = event.target.closest("input[data-action='edit-image-label']");
+    if (!input) return;
+
+    state.currentImages = state.currentImages.map((image) =>
+      image.id === input.dataset.imageId ? { ...image, label: input.value } : image
+    );
+  });
+
+  elements.imageGallery.addEventListener("dragstart", (event) => {
+    const card = event.target.closest(".image-card");
+    if (!card) return;
+
+    state.draggedImageId = card.dataset.imageId || "";
+    card.classList.add("is-dragging");
+    event.dataTransfer.effectAllowed = "move";
+    event.dataTransfer.setData("text/plain", state.draggedImageId);
+  });
+
+  elements.imageGallery.addEventListener("dragover", (event) => {
+    if (!state.draggedImageId || !event.target.closest(".image-card")) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = "move";
+  });
+
+  elements.imageGallery.addEventListener("drop", (event) => {
+    const card = event.target.closest(".image-card");
+    if (!state.draggedImageId || !card) return;
+    event.preventDefault();
+
+    // Linke Kartenhaelfte: davor einsortieren, rechte Haelfte: dahinter.
+    const rect = card.getBoundingClientRect();
+    const after = event.clientX > rect.left + rect.width / 2;
+    const targetIndex = state.currentImages.findIndex((image) => image.id === card.dataset.imageId);
+    const sourceIndex = state.currentImages.findIndex((image) => image.id === state.draggedImageId);
+    const insertIndex = targetIndex + (after ? 1 : 0) - (sourceIndex < targetIndex ? 1 : 0);
+    const moved = moveImage(state.draggedImageId, insertIndex);
+    state.draggedImageId = "";
+    renderImageGallery();
+    if (moved) {
+      recordHistory();
+      renderPreview();
+    }
+  });
+
+  elements.imageGallery.addEventListener("dragend", () => {
+    state.draggedImageId = "";
+    for (const card of elements.imageGallery.querySelectorAll(".image-card.is-dragging")) {
+      card.classList.remove("is-dragging");
+    }
+  });
+
+  // Angezeigte Werte in der bisherigen Eingabeform lesen und in der neuen darstellen.
+  elements.distanceMode.addEventListener("change", () => {
+    writeFormData(readFormData());
+  });
+
+  elements.foundationType.addEventListener("change", () => {
+    updateFoundationFields();
+  });
+
+  // Vorgabe uebernehmen; eine danach manuell geaenderte Frosttiefe bleibt bis zum naechsten Wechsel stehen.
+  for (const select of [elements.frostRegion, elements.frostSoilClass]) {
+    select.addEventListener("change", () => {
+      applyFrostDepthPreset();
+      recordHistory();
+      renderPreview();
+    });
+  }
+
   elements.templateId.addEventListener("change", () => {
-    state.dirty = true;
+    recordHistory();
     renderPreview();
   });
 
   elements.exportFormat.addEventListener("change", () => {
-    state.dirty = true;
+    recordHistory();
     renderPreview();
   });
 
@@ -231,34 +823,89 @@ function bindEvents() {
         renderPreview();
       }
       const current = readFormData();
+      const appendixPages = current.exportSettings.format === "pdf" && current.exportSettings.includeAppendix
+        ? buildAppendixPages(current)
+        : [];
       await exportPlan({
         format: current.exportSettings.format,
         composedDocument: state.composedDocument,
+        appendixPages,
         fileNameBase: `fundamentplan_${current.name}`,
       });
+      // Gekuerzte Anhangseiten (z. B. lange Biegelisten) sind nur hier erkennbar.
+      const appendixWarnings = appendixPages.flatMap((page) => page.warnings.map((warning) => `PDF-Anhang: ${warning}`));
+      if (appendixWarnings.length > 0) {
+        renderWarnings([...state.previewWarnings, ...appendixWarnings]);
+      }
     } catch (error) {
       renderWarnings([`Export fehlgeschlagen: ${error.message}`]);
     }
   });
 }
 
-function setActiveEditorTab(tabId) {
-  state.activeEditorTab = tabId === "plan" ? "plan" : "config";
+async function importCatalogFile(file, mode) {
+  const { saunas: incoming } = parseCatalog(await file.text());
+  await refreshSaunas();
 
-  const isConfig = state.activeEditorTab === "config";
-  elements.tabConfig.classList.toggle("is-active", isConfig);
-  elements.tabPlan.classList.toggle("is-active", !isConfig);
-  elements.tabConfig.setAttribute("aria-selected", isConfig ? "true" : "false");
-  elements.tabPlan.setAttribute("aria-selected", isConfig ? "false" : "true");
+  if (mode === "replace" && !window.confirm(`Alle ${state.saunas.length} vorhandenen Modelle durch ${incoming.length} importierte ersetzen?`)) {
+    return;
+  }
+
+  // replaceAll ersetzt auch die Bilder; daher die vorhandenen Modelle vollstaendig laden.
+  const result = mergeCatalog(await getAll({ includeImages: true }), incoming, mode);
+  await replaceAll(result.saunas);
+  await refreshSaunas();
+  scheduleSync();
+
+  if (!state.saunas.some((sauna) => sauna.id === state.selectedId)) {
+    state.selectedId = state.saunas.length > 0 ? state.saunas[0].id : "";
+  }
+  state.dirty = false;
+  renderSaunaList();
 
-  elements.panelConfig.classList.toggle("is-active", isConfig);
-  elements.panelPlan.classList.toggle("is-active", !isConfig);
-  elements.panelConfig.hidden = !isConfig;
-  elements.panelPlan.hidden = isConfig;
+  if (state.selectedId) {
+    await loadSelectedIntoForm();
+  } else {
+    loadIntoEditor(createEmptySauna());
+    await renderRevisionHistory();
+  }
+
+  setRuntimeWarnings([
+    `Katalogimport: ${result.added} neu, ${result.updated} aktualisiert, ${result.skipped} uebersprungen.`,
+  ]);
+  renderPreview();
+}
+
+function setActiveEditorTab(tabId) {
+  state.activeEditorTab = ["plan", "compare"].includes(tabId) ? tabId : "config";
+
+  const tabs = [
+    { id: "config", tab: elements.tabConfig, panel: elements.panelConfig },
+    { id: "plan", tab: elements.tabPlan, panel: elements.panelPlan },
+    { id: "compare", tab: elements.tabCompare, panel: elements.panelCompare },
+  ];
+  for (const { id, tab, panel } of tabs) {
+    const isActive = state.activeEditorTab === id;
+    tab.classList.toggle("is-active", isActive);
+    tab.setAttribute("aria-selected", isActive ? "true" : "false");
+    panel.classList.toggle("is-active", isActive);
+    panel.hidden = !isActive;
+  }
+
+  if (state.activeEditorTab === "compare") {
+    renderCompareOptions();
+    renderComparison();
+  }
 }
 
 async function refreshSaunas() {
   state.saunas = await getAll();
+  state.tags = await getAllTags();
+  state.listedSaunas = await querySaunas({
+    text: elements.listSearch.value,
+    tag: state.tags.includes(elements.listTag.value) ? elements.listTag.value : "",
+    sortBy: elements.listSort.value,
+  });
 }
 
 function renderTemplateOptions() {
@@ -272,17 +919,78 @@ function renderTemplateOptions() {
   }
 }
 
+function renderSoilOptions() {
+  elements.soilType.innerHTML = "";
+  for (const soil of SOIL_TYPES) {
+    const option = document.createElement("option");
+    option.value = soil.id;
+    option.textContent = `${soil.label} (${soil.allowablePressureKnM2} kN/m²)`;
+    elements.soilType.appendChild(option);
+  }
+}
+
+function renderFrostPresetOptions() {
+  elements.frostRegion.innerHTML = "";
+  const manual = document.createElement("option");
+  manual.value = "";
+  manual.textContent = "Manuell";
+  elements.frostRegion.appendChild(manual);
+  for (const region of FROST_REGIONS) {
+    const option = document.createElement("option");
+    option.value = region.id;
+    option.textContent = `${region.label} (${region.baseDepthCm} cm)`;
+    elements.frostRegion.appendChild(option);
+  }
+
+  elements.frostSoilClass.innerHTML = "";
+  for (const soilClass of FROST_SOIL_CLASSES) {
+    const option = document.createElement("option");
+    option.value = soilClass.id;
+    option.textContent = `${soilClass.label} (+${soilClass.extraDepthCm} cm)`;
+    elements.frostSoilClass.appendChild(option);
+  }
+}
+
+function readFrostDepthPreset() {
+  if (!elements.frostRegion.value) {
+    return null;
+  }
+  return { regionId: elements.frostRegion.value, soilClassId: elements.frostSoilClass.value };
+}
+
+function applyFrostDepthPreset() {
+  const preset = resolveFrostDepthPreset(readFrostDepthPreset());
+  elements.frostSoilClass.disabled = !preset;
+  if (preset) {
+    elements.foundationDepth.value = String(preset.depthCm);
+  }
+}
+
 function renderSaunaList() {
+  renderTagFilterOptions();
   elements.saunaList.innerHTML = "";
 
-  for (const sauna of state.saunas) {
+  if (state.listedSaunas.length === 0 && state.saunas.length > 0) {
+    const item = document.createElement("li");
+    item.className = "image-placeholder";
+    item.textContent = "Keine Modelle passen zur Suche.";
+    elements.saunaList.appendChild(item);
+  }
+
+  for (const sauna of state.listedSaunas) {
     const item = document.createElement("li");
     const button = document.createElement("button");
     button.type = "button";
     button.dataset.id = sauna.id;
 
-    const imageMarker = sauna.images.length > 0 ? " [Bilder]" : "";
+    const imageMarker = (sauna.imageCount ?? sauna.images.length) > 0 ? " [Bilder]" : "";
     button.textContent = `${sauna.name}${imageMarker} (r${sauna.revision}, ${format(sauna.config.barrelLength)} x ${format(sauna.config.barrelWidth)} cm)`;
+    if (sauna.tags.length > 0) {
+      const tags = document.createElement("span");
+      tags.className = "sauna-tags";
+      tags.textContent = sauna.tags.join(" · ");
+      button.appendChild(tags);
+    }
 
     if (sauna.id === state.selectedId) {
       button.classList.add("active");
@@ -291,12 +999,541 @@ function renderSaunaList() {
     item.appendChild(button);
     elements.saunaList.appendChild(item);
   }
+
+  if (state.activeEditorTab === "compare") {
+    renderCompareOptions();
+    renderComparison();
+  }
+}
+
+// Ein nicht mehr vergebener Tag faellt auf "Alle Tags" zurueck.
+function renderTagFilterOptions() {
+  const current = elements.listTag.value;
+  elements.listTag.innerHTML = "";
+  const all = document.createElement("option");
+  all.value = "";
+  all.textContent = "Alle Tags";
+  elements.listTag.appendChild(all);
+  for (const tag of state.tags) {
+    const option = document.createElement("option");
+    option.value = tag;
+    option.textContent = tag;
+    elements.listTag.appendChild(option);
+  }
+  elements.listTag.value = state.tags.includes(current) ? current : "";
+}
+
+// Bisherige Auswahl beibehalten; sonst A = gewaehltes Modell, B = naechstes in der Liste.
+function renderCompareOptions() {
+  const ids = state.saunas.map((sauna) => sauna.id);
+  const fallbackA = ids.includes(state.selectedId) ? state.selectedId : ids[0] || "";
+  const previousA = ids.includes(elements.compareA.value) ? elements.compareA.value : fallbackA;
+  const previousB = ids.includes(elements.compareB.value)
+    ? elements.compareB.value
+    : ids.find((id) => id !== previousA) || previousA;
+
+  for (const [select, value] of [[elements.compareA, previousA], [elements.compareB, previousB]]) {
+    select.innerHTML = "";
+    for (const sauna of state.saunas) {
+      const option = document.createElement("option");
+      option.value = sauna.id;
+      option.textContent = `${sauna.name} (r${sauna.revision})`;
+      select.appendChild(option);
+    }
+    select.value = value;
+  }
+}
+
+function renderComparison() {
+  elements.compareTable.innerHTML = "";
+  elements.comparePreview.innerHTML = "";
+
+  const saunaA = state.saunas.find((sauna) => sauna.id === elements.compareA.value);
+  const saunaB = state.saunas.find((sauna) => sauna.id === elements.compareB.value);
+  if (!saunaA || !saunaB) {
+    renderDataTable(elements.compareTable, { columns: ["Hinweis"], rows: [["Fuer den Vergleich werden zwei Modelle benoetigt."]] });
+    return;
+  }
+
+  const rows = diffSaunas(saunaA, saunaB)
+    .filter((change) => change.path.startsWith("config."))
+    .map((change) => [
+      change.label,
+      formatFieldValue(change.before),
+      formatFieldValue(change.after),
+      typeof change.before === "number" && typeof change.after === "number" ? formatSigned(change.after - change.before) : "",
+    ]);
+  if (rows.length === 0) {
+    rows.push(["Konfiguration", "identisch", "identisch", ""]);
+  }
+  for (const metric of compareDerivedMetrics(saunaA.config, saunaB.config)) {
+    const unit = metric.unit ? ` ${metric.unit}` : "";
+    rows.push([
+      metric.label,
+      `${format(metric.a)}${unit}`,
+      `${format(metric.b)}${unit}`,
+      metric.a === metric.b ? "" : `${formatSigned(metric.b - metric.a)}${unit}`,
+    ]);
+  }
+  renderDataTable(elements.compareTable, {
+    columns: ["Wert", `A: ${saunaA.name}`, `B: ${saunaB.name}`, "Differenz B - A"],
+    rows,
+    footnote: saunaA.id === saunaB.id ? "A und B sind dasselbe Modell." : "",
+  });
+
+  const overlay = composeComparisonSvg(saunaA.config, saunaB.config, {
+    title: `Vergleich ${saunaA.name} / ${saunaB.name}`,
+  });
+  elements.comparePreview.appendChild(overlay.svgElement);
+}
+
+/**
+ * Waehlt ein soeben gespeichertes Modell aus und laedt es in den Editor.
+ * @param {string} id
+ */
+async function openCreatedSauna(id) {
+  await refreshSaunas();
+  scheduleSync();
+  state.selectedId = id;
+  state.dirty = false;
+  renderSaunaList();
+  await loadSelectedIntoForm();
+  renderPreview();
 }
 
 async function loadSelectedIntoForm() {
   const sauna = await getById(state.selectedId);
   if (!sauna) return;
+  loadIntoEditor(sauna);
+  await renderRevisionHistory();
+}
+
+/**
+ * Laedt einen Stand in den Editor und beginnt einen neuen Undo-Verlauf.
+ * @param {import("./domain/sauna.js").Sauna} sauna
+ */
+function loadIntoEditor(sauna) {
   writeFormData(sauna);
+  clearTimeout(state.historyTimer);
+  state.historyTimer = null;
+  state.history.reset(readFormData());
+  state.dirty = false;
+  updateHistoryButtons();
+  discardDraft();
+}
+
+function scheduleHistoryRecord() {
+  clearTimeout(state.historyTimer);
+  state.historyTimer = setTimeout(recordHistory, HISTORY_INPUT_DELAY_MS);
+}
+
+function recordHistory() {
+  clearTimeout(state.historyTimer);
+  state.historyTimer = null;
+  state.history.record(readFormData());
+  state.dirty = state.history.isDirty();
+  updateHistoryButtons();
+  scheduleDraftSave();
+}
+
+function applyHistoryStep(step) {
+  // Noch nicht erfasste Tastatureingaben zuerst als eigenen Schritt sichern.
+  if (state.historyTimer) {
+    recordHistory();
+  }
+
+  const target = step === "undo" ? state.history.undo() : state.history.redo();
+  if (!target) return;
+
+  writeFormData(target);
+  state.dirty = state.history.isDirty();
+  updateHistoryButtons();
+  scheduleDraftSave();
+  renderPreview();
+}
+
+function scheduleDraftSave() {
+  clearTimeout(state.draftTimer);
+  state.draftTimer = setTimeout(saveDraft, DRAFT_SAVE_DELAY_MS);
+}
+
+/**
+ * Sichert den aktuellen Editorstand als Entwurf; ein unveraenderter Stand loescht den Entwurf.
+ * @returns {Promise<void>}
+ */
+async function saveDraft() {
+  clearTimeout(state.draftTimer);
+  state.draftTimer = null;
+  if (!state.dirty) {
+    return discardDraft();
+  }
+
+  try {
+    await setMeta(DRAFT_META_KEY, { sauna: readFormData(), savedAt: new Date().toISOString() });
+  } catch (error) {
+    setRuntimeWarnings([`Entwurf konnte nicht gesichert werden: ${error.message}`]);
+  }
+}
+
+async function discardDraft() {
+  clearTimeout(state.draftTimer);
+  state.draftTimer = null;
+  try {
+    await setMeta(DRAFT_META_KEY, null);
+  } catch (error) {
+    setRuntimeWarnings([`Entwurf konnte nicht verworfen werden: ${error.message}`]);
+  }
+}
+
+/**
+ * Legt die Ablage der Modelle fest. Ist der Team-Server nicht erreichbar, bleibt es bei diesem Browser.
+ * "sync" speichert in diesem Browser und gleicht mit dem Team-Server ab, sobald er erreichbar ist.
+ * @param {unknown} backendId
+ * @returns {Promise<string[]>} Hinweise fuer die Warnliste
+ */
+async function applyStoreBackend(backendId) {
+  const warnings = [];
+  let backend = null;
+  if (backendId === "server") {
+    if (await checkServerHealth()) {
+      backend = createRestBackend();
+    } else {
+      warnings.push("Team-Server nicht erreichbar (scripts/dev-server.js). Modelle werden in diesem Browser gespeichert.");
+    }
+  }
+  setSaunaBackend(backend);
+  state.syncRemote = backendId === "sync" ? createRestBackend() : null;
+  state.syncConflicts = [];
+  state.syncMessage = "";
+  setOutboxEnabled(state.syncRemote !== null);
+  elements.storeBackend.value = getStoreBackendId();
+  renderSyncConflict();
+  await renderSyncStatus();
+  return warnings;
+}
+
+/**
+ * @returns {string} Wert fuer die Speicherort-Auswahl
+ */
+function getStoreBackendId() {
+  return state.syncRemote ? "sync" : getSaunaBackendId();
+}
+
+/**
+ * Plant einen Abgleich; mehrere Aenderungen kurz hintereinander fuehren zu einem Abgleich.
+ * @param {number=} delayMs
+ */
+function scheduleSync(delayMs = SYNC_AFTER_CHANGE_DELAY_MS) {
+  if (!state.syncRemote) return;
+  clearTimeout(state.syncTimer);
+  state.syncTimer = setTimeout(() => {
+    state.syncTimer = null;
+    runSync();
+  }, delayMs);
+}
+
+/**
+ * Gleicht mit dem Team-Server ab und aktualisiert Liste, Editor und Konfliktanzeige.
+ * Ohne Verbindung bleiben die Aenderungen in der Warteschlange.
+ */
+async function runSync() {
+  const remote = state.syncRemote;
+  if (!remote || state.syncRunning) return;
+
+  state.syncRunning = true;
+  await renderSyncStatus("Abgleich laeuft");
+  let message = "";
+  let result = null;
+  try {
+    if (!navigator.onLine || !(await checkServerHealth())) {
+      message = "Team-Server nicht erreichbar";
+    } else {
+      result = await synchronize(remote);
+      message = `Abgeglichen um ${new Date().toLocaleTimeString("de-DE")}`;
+    }
+  } catch (error) {
+    message = `Abgleich fehlgeschlagen: ${error.message}`;
+  } finally {
+    state.syncRunning = false;
+  }
+  // Speicherort waehrend des Abgleichs gewechselt: Ergebnis gehoert nicht mehr zur Anzeige.
+  if (state.syncRemote !== remote) return;
+
+  if (result) {
+    state.syncConflicts = result.conflicts;
+    if (result.warnings.length > 0) {
+      setRuntimeWarnings([...state.runtimeWarnings, ...result.warnings]);
+    }
+    if (result.pulled > 0 || result.warnings.length > 0) {
+      await showSyncedChanges();
+    }
+  }
+  renderSyncConflict();
+  await renderSyncStatus(message);
+}
+
+/**
+ * Uebernimmt die Feldauswahl aus der Konfliktanzeige.
+ * @param {import("./services/syncService.js").SyncConflict} conflict
+ */
+async function resolveSyncConflict(conflict) {
+  const remotePaths = Array.from(
+    elements.syncConflict.querySelectorAll("input[type='radio'][value='remote']:checked"),
+    (input) => input.dataset.path
+  );
+
+  try {
+    await resolveConflict(state.syncRemote, conflict, remotePaths);
+  } catch (error) {
+    if (error.code === REVISION_CONFLICT) {
+      setRuntimeWarnings([`"${conflict.local.name}" wurde inzwischen erneut auf dem Server geaendert. Der Konflikt wird neu ermittelt.`]);
+      scheduleSync(0);
+    } else {
+      setRuntimeWarnings([`Konflikt nicht aufgeloest: ${error.message}`]);
+    }
+    renderPreview();
+    return;
+  }
+
+  state.syncConflicts = state.syncConflicts.filter((item) => item !== conflict);
+  renderSyncConflict();
+  await showSyncedChanges();
+  await renderSyncStatus();
+}
+
+/**
+ * Zeigt abgeglichene Aenderungen an. Ein offenes Modell wird nur neu geladen, wenn es sich geaendert hat
+ * und im Editor nichts Ungespeichertes steht; sonst bliebe der Undo-Verlauf nicht erhalten.
+ */
+async function showSyncedChanges() {
+  await refreshSaunas();
+  const selected = state.saunas.find((sauna) => sauna.id === state.selectedId);
+
+  if (!state.dirty) {
+    if (!selected) {
+      state.selectedId = state.saunas.length > 0 ? state.saunas[0].id : "";
+      if (state.selectedId) {
+        await loadSelectedIntoForm();
+      } else {
+        loadIntoEditor(createEmptySauna());
+        await renderRevisionHistory();
+      }
+    } else if (String(selected.revision) !== elements.form.dataset.revision) {
+      await loadSelectedIntoForm();
+    }
+  }
+
+  renderSaunaList();
+  renderPreview();
+}
+
+/**
+ * @param {string=} message neue Statusmeldung; ohne Angabe bleibt die letzte stehen
+ */
+async function renderSyncStatus(message) {
+  if (message !== undefined) {
+    state.syncMessage = message;
+  }
+  elements.syncStatus.hidden = !state.syncRemote;
+  elements.btnSync.disabled = state.syncRunning;
+  if (!state.syncRemote) return;
+
+  const pending = (await getOutbox()).length;
+  const conflicts = state.syncConflicts.length;
+  const parts = [state.syncMessage || "Noch nicht abgeglichen"];
+  if (pending > 0) {
+    parts.push(pending === 1 ? "1 Aenderung wartet" : `${pending} Aenderungen warten`);
+  }
+  if (conflicts > 0) {
+    parts.push(conflicts === 1 ? "1 Konflikt" : `${conflicts} Konflikte`);
+  }
+  elements.syncStatusText.textContent = parts.join(", ");
+}
+
+/**
+ * Feldweiser Vergleich des ersten offenen Konflikts. Vorausgewaehlt ist jeweils der lokale Wert.
+ */
+function renderSyncConflict() {
+  const conflict = state.syncConflicts[0];
+  elements.syncConflict.innerHTML = "";
+  elements.syncConflict.hidden = !conflict;
+  if (!conflict) return;
+
+  const title = document.createElement("h2");
+  const more = state.syncConflicts.length > 1 ? ` (1 von ${state.syncConflicts.length})` : "";
+  title.textContent = `Abgleichkonflikt: ${conflict.local.name}${more}`;
+  const hint = document.createElement("p");
+  hint.className = "hint-text";
+  hint.textContent = `Dieser Browser: r${conflict.local.revision} vom ${formatTimestamp(conflict.local.updatedAt)}. `
+    + `Team-Server: r${conflict.remote.revision} vom ${formatTimestamp(conflict.remote.updatedAt)}. `
+    + "Je Feld den Wert waehlen, der bleiben soll.";
+
+  const table = document.createElement("table");
+  table.className = "data-table";
+  const headRow = table.createTHead().insertRow();
+  for (const label of ["Feld", "Dieser Browser", "Team-Server"]) {
+    const th = document.createElement("th");
+    th.textContent = label;
+    headRow.appendChild(th);
+  }
+  const body = table.createTBody();
+  conflict.changes.forEach((change, index) => {
+    const row = body.insertRow();
+    row.insertCell().textContent = change.label;
+    row.insertCell().appendChild(createConflictChoice(index, change.path, "local", change.after));
+    row.insertCell().appendChild(createConflictChoice(index, change.path, "remote", change.before));
+  });
+
+  const toolbar = document.createElement("div");
+  toolbar.className = "toolbar";
+  for (const [action, label] of [
+    ["choose-all-local", "Alle aus diesem Browser"],
+    ["choose-all-remote", "Alle vom Team-Server"],
+    ["resolve-conflict", "Uebernehmen"],
+    ["defer-conflict", "Spaeter"],
+  ]) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.dataset.action = action;
+    button.textContent = label;
+    toolbar.appendChild(button);
+  }
+
+  elements.syncConflict.appendChild(title);
+  elements.syncConflict.appendChild(hint);
+  elements.syncConflict.appendChild(table);
+  elements.syncConflict.appendChild(toolbar);
+}
+
+function createConflictChoice(index, path, side, value) {
+  const label = document.createElement("label");
+  label.className = "checkbox-label";
+  const radio = document.createElement("input");
+  radio.type = "radio";
+  radio.name = `conflict-field-${index}`;
+  radio.value = side;
+  radio.dataset.path = path;
+  radio.checked = side === "local";
+  label.appendChild(radio);
+  label.appendChild(document.createTextNode(formatFieldValue(value)));
+  return label;
+}
+
+/**
+ * Zeigt einen Fehler der Ablage (z. B. Team-Server nicht erreichbar) als Warnung an.
+ * @param {string} action z. B. "Speichern"
+ * @param {Error} error
+ */
+function reportStoreFailure(action, error) {
+  setRuntimeWarnings([`${action} fehlgeschlagen: ${error.message}`]);
+  renderPreview();
+}
+
+/**
+ * @param {import("./domain/sauna.js").Sauna} edited
+ * @param {import("./domain/sauna.js").Sauna | null} current gespeicherter Stand, falls bekannt
+ */
+function reportSaveConflict(edited, current) {
+  const stored = current ? `inzwischen als r${current.revision} gespeichert` : "inzwischen von anderer Seite geaendert";
+  setRuntimeWarnings([
+    `Nicht gespeichert: "${edited.name}" wurde ${stored}, der Editor basiert auf r${edited.revision}. `
+      + "Aenderungen notieren und das Modell neu laden.",
+  ]);
+  renderPreview();
+}
+
+/**
+ * @returns {boolean} true, wenn ohne ungespeicherte Aenderungen weitergemacht werden darf
+ */
+function confirmDiscardChanges() {
+  if (!state.dirty) {
+    return true;
+  }
+  const name = elements.name.value.trim() || "Unbenannt";
+  return window.confirm(`Ungespeicherte Aenderungen an "${name}" verwerfen?`);
+}
+
+function updateHistoryButtons() {
+  elements.btnUndo.disabled = !state.history.canUndo();
+  elements.btnRedo.disabled = !state.history.canRedo();
+}
+
+async function renderRevisionHistory() {
+  elements.revisionList.innerHTML = "";
+  elements.revisionPreview.hidden = true;
+  elements.revisionPreview.innerHTML = "";
+
+  const entries = state.selectedId ? await getRevisions(state.selectedId) : [];
+  if (entries.length === 0) {
+    const li = document.createElement("li");
+    li.className = "hint-text";
+    li.textContent = "Noch keine gespeicherten Revisionen.";
+    elements.revisionList.appendChild(li);
+    return;
+  }
+
+  entries.forEach((entry, index) => {
+    const older = entries[index + 1];
+    const changes = older ? diffSaunas(older.snapshot, entry.snapshot) : [];
+
+    const item = document.createElement("li");
+    item.className = "revision-item";
+
+    const text = document.createElement("div");
+    const title = document.createElement("strong");
+    title.textContent = `r${entry.revision} - ${formatTimestamp(entry.savedAt)}`;
+    const details = document.createElement("div");
+    details.className = "revision-changes";
+    details.textContent = !older
+      ? "Erste gespeicherte Revision."
+      : changes.length > 0
+        ? `Geaendert: ${changes.map((change) => change.label).join(", ")}`
+        : "Keine inhaltlichen Aenderungen.";
+    text.appendChild(title);
+    text.appendChild(details);
+
+    const toolbar = document.createElement("div");
+    toolbar.className = "toolbar";
+    toolbar.appendChild(createRevisionButton("preview-revision", entry.revision, "Vorschau"));
+    toolbar.appendChild(createRevisionButton("restore-revision", entry.revision, "Wiederherstellen"));
+
+    item.appendChild(text);
+    item.appendChild(toolbar);
+    elements.revisionList.appendChild(item);
+  });
+}
+
+function createRevisionButton(action, revision, label) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.dataset.action = action;
+  button.dataset.revision = String(revision);
+  button.textContent = label;
+  return button;
+}
+
+function renderRevisionPreview(entry) {
+  const plan = generatePlanSvg(entry.snapshot.config, {
+    title: `Revision r${entry.revision}`,
+    typography: { dimTextFontSizePx: entry.snapshot.exportSettings.dimTextFontSizePx },
+    distanceReference: entry.snapshot.exportSettings.distanceDimensionMode,
+  });
+
+  elements.revisionPreview.innerHTML = "";
+  const header = document.createElement("div");
+  header.className = "distance-header";
+  const title = document.createElement("h3");
+  title.textContent = `Vorschau r${entry.revision}: ${entry.snapshot.name}`;
+  const closeButton = document.createElement("button");
+  closeButton.type = "button";
+  closeButton.dataset.action = "close-revision-preview";
+  closeButton.textContent = "Schliessen";
+  header.appendChild(title);
+  header.appendChild(closeButton);
+
+  elements.revisionPreview.appendChild(header);
+  elements.revisionPreview.appendChild(plan.svgElement);
+  elements.revisionPreview.hidden = false;
 }
 
 function writeFormData(sauna) {
@@ -305,25 +1542,49 @@ function writeFormData(sauna) {
   elements.form.dataset.revision = String(sauna.revision);
 
   elements.name.value = sauna.name;
+  elements.tags.value = sauna.tags.join(", ");
   elements.barrelLength.value = String(sauna.config.barrelLength);
   elements.barrelWidth.value = String(sauna.config.barrelWidth);
   elements.footWidth.value = String(sauna.config.footWidth);
   elements.footThickness.value = String(sauna.config.footThickness);
   elements.foundationWidth.value = String(sauna.config.foundationWidth);
   elements.foundationDepth.value = String(sauna.config.foundationDepth);
+  elements.frostRegion.value = sauna.config.frostDepthPreset?.regionId || "";
+  elements.frostSoilClass.value = sauna.config.frostDepthPreset?.soilClassId || FROST_SOIL_CLASSES[0].id;
+  elements.frostSoilClass.disabled = !sauna.config.frostDepthPreset;
+  elements.frontOverhang.value = String(sauna.config.frontOverhang);
+  elements.rearOverhang.value = String(sauna.config.rearOverhang);
+  elements.foundationType.value = sauna.config.foundationType;
+  elements.emptyWeight.value = String(sauna.config.emptyWeightKg);
+  elements.peopleLoad.value = String(sauna.config.peopleLoadKg);
+  elements.snowLoad.value = String(sauna.config.snowLoadKnM2);
+  elements.soilType.value = sauna.config.soilType;
+  elements.pointFoundationSize.value = String(sauna.config.pointFoundationSize);
+  elements.pointFoundationInset.value = String(sauna.config.pointFoundationInset);
+  updateFoundationFields();
 
   elements.exportFormat.value = sauna.exportSettings.format;
   elements.templateId.value = sauna.exportSettings.templateId;
   elements.dimFontSize.value = String(sauna.exportSettings.dimTextFontSizePx ?? 12);
+  elements.sectionView.value = sauna.exportSettings.sectionView;
+  elements.includeAppendix.checked = sauna.exportSettings.includeAppendix;
+  elements.showReinforcement.checked = sauna.exportSettings.showReinforcement;
+  elements.distanceDimensionMode.value = sauna.exportSettings.distanceDimensionMode;
 
   state.currentImages = Array.isArray(sauna.images) ? [...sauna.images] : [];
   renderImageGallery();
 
+  const distanceMode = sauna.config.distanceInputMode;
+  elements.distanceMode.value = distanceMode;
+  elements.distanceList.dataset.mode = distanceMode;
   elements.distanceList.innerHTML = "";
-  sauna.config.footDistances.forEach((distance, index) => {
+  toDistanceInputs(sauna.config, distanceMode).forEach((distance, index) => {
     const row = document.createElement("div");
     row.className = "distance-row";
 
+    const caption = document.createElement("span");
+    caption.textContent = describeDistanceInput(distanceMode, index);
+
     const input = document.createElement("input");
     input.type = "number";
     input.min = "0";
@@ -337,19 +1598,126 @@ function writeFormData(sauna) {
     removeButton.dataset.action = "remove-distance";
     removeButton.dataset.index = String(index);
 
+    row.appendChild(caption);
     row.appendChild(input);
     row.appendChild(removeButton);
     elements.distanceList.appendChild(row);
   });
+
+  renderFootOverrides(sauna.config);
+  updateDistanceModeHint(sauna.config);
+  elements.distributionCount.value = String(sauna.config.footDistances.length + 1);
+}
+
+function updateDistanceModeHint(config) {
+  const mode = elements.distanceList.dataset.mode;
+  elements.distanceModeHint.textContent = mode === "barrelEnd"
+    ? `Fuss 1 steht bei ${format(computeFirstFootOffset(config))} cm ab Fassende (ueber "Ueberstand vorne" einstellbar).`
+    : "";
+  elements.distanceModeHint.hidden = mode !== "barrelEnd";
+}
+
+const FOOT_OVERRIDE_FIELDS = [
+  { key: "footWidth", label: "Breite" },
+  { key: "footThickness", label: "Dicke" },
+  { key: "foundationSize", label: "Fundament" },
+];
+
+/**
+ * Eine Zeile je Fuss; leere Felder folgen der Standardkonfiguration.
+ * @param {import("./domain/sauna.js").SaunaConfig} config
+ */
+function renderFootOverrides(config) {
+  elements.footOverrideList.innerHTML = "";
+  for (let index = 0; index <= config.footDistances.length; index += 1) {
+    const override = config.footOverrides[index] || {};
+    const row = document.createElement("div");
+    row.className = "foot-override-row";
+
+    const title = document.createElement("span");
+    title.textContent = `Fuss ${index + 1}`;
+    row.appendChild(title);
+
+    for (const field of FOOT_OVERRIDE_FIELDS) {
+      const label = document.createElement("label");
+      label.textContent = `${field.label} (cm)`;
+      const input = document.createElement("input");
+      input.type = "number";
+      input.min = "0";
+      input.step = "0.1";
+      input.value = override[field.key] === undefined ? "" : String(override[field.key]);
+      input.dataset.footIndex = String(index);
+      input.dataset.overrideKey = field.key;
+      label.appendChild(input);
+      row.appendChild(label);
+    }
+
+    elements.footOverrideList.appendChild(row);
+  }
+
+  updateFootOverridePlaceholders(config);
+}
+
+// Platzhalter zeigen den aktuell geltenden Standardwert.
+function updateFootOverridePlaceholders(config) {
+  const defaults = {
+    footWidth: config.footWidth,
+    footThickness: config.footThickness,
+    foundationSize: config.foundationType === "point" ? config.pointFoundationSize : config.foundationWidth,
+  };
+  for (const input of elements.footOverrideList.querySelectorAll("input[data-override-key]")) {
+    input.placeholder = String(defaults[input.dataset.overrideKey]);
+  }
+}
+
+function readFootOverrides() {
+  const overrides = [];
+  for (const input of elements.footOverrideList.querySelectorAll("input[data-override-key]")) {
+    if (input.value.trim() === "") continue;
+    const index = Number(input.dataset.footIndex);
+    overrides[index] = { ...(overrides[index] || {}), [input.dataset.overrideKey]: parseNumber(input.value) };
+  }
+  return Array.from(overrides, (entry) => entry || {});
+}
+
+// Nur die Felder der gewaehlten Fundamentart anzeigen.
+function updateFoundationFields() {
+  const type = elements.foundationType.value;
+  for (const label of elements.form.querySelectorAll("[data-foundation-type]")) {
+    label.hidden = label.dataset.foundationType !== type;
+  }
 }
 
 function readFormData() {
   const id = elements.form.dataset.saunaId || createEmptySauna().id;
-  const distances = Array.from(elements.distanceList.querySelectorAll("input")).map((input) => parseNumber(input.value));
+  const distanceInputs = Array.from(elements.distanceList.querySelectorAll("input")).map((input) => parseNumber(input.value));
+  const config = {
+    barrelLength: parseNumber(elements.barrelLength.value),
+    barrelWidth: parseNumber(elements.barrelWidth.value),
+    footWidth: parseNumber(elements.footWidth.value),
+    footThickness: parseNumber(elements.footThickness.value),
+    foundationWidth: parseNumber(elements.foundationWidth.value),
+    foundationDepth: parseNumber(elements.foundationDepth.value),
+    frostDepthPreset: readFrostDepthPreset(),
+    foundationType: elements.foundationType.value,
+    pointFoundationSize: parseNumber(elements.pointFoundationSize.value),
+    pointFoundationInset: parseNumber(elements.pointFoundationInset.value),
+    footOverrides: readFootOverrides(),
+    distanceInputMode: elements.distanceMode.value,
+    frontOverhang: parseNumber(elements.frontOverhang.value),
+    rearOverhang: parseNumber(elements.rearOverhang.value),
+    emptyWeightKg: parseNumber(elements.emptyWeight.value),
+    peopleLoadKg: parseNumber(elements.peopleLoad.value),
+    snowLoadKnM2: parseNumber(elements.snowLoad.value),
+    soilType: elements.soilType.value,
+  };
+  // Die Eingaben liegen in der Form vor, in der die Liste zuletzt aufgebaut wurde.
+  const distances = fromDistanceInputs(config, elements.distanceList.dataset.mode, distanceInputs);
 
   return sanitizeSauna({
     id,
     name: elements.name.value,
+    tags: elements.tags.value,
     revision: Number(elements.form.dataset.revision) || 1,
     createdAt: elements.form.dataset.createdAt || new Date().toISOString(),
     updatedAt: new Date().toISOString(),
@@ -358,28 +1726,40 @@ function readFormData() {
       templateId: elements.templateId.value || getDefaultTemplate().id,
       format: elements.exportFormat.value === "svg" ? "svg" : "pdf",
       dimTextFontSizePx: parseNumber(elements.dimFontSize.value) || 12,
+      sectionView: elements.sectionView.value,
+      includeAppendix: elements.includeAppendix.checked,
+      showReinforcement: elements.showReinforcement.checked,
+      distanceDimensionMode: elements.distanceDimensionMode.value,
     },
-    config: {
-      barrelLength: parseNumber(elements.barrelLength.value),
-      barrelWidth: parseNumber(elements.barrelWidth.value),
-      footWidth: parseNumber(elements.footWidth.value),
-      footThickness: parseNumber(elements.footThickness.value),
-      foundationWidth: parseNumber(elements.foundationWidth.value),
-      foundationDepth: parseNumber(elements.foundationDepth.value),
-      footDistances: distances,
-    },
+    config: { ...config, footDistances: distances },
   });
 }
 
 function renderPreview() {
   const sauna = readFormData();
+  updateFootOverridePlaceholders(sauna.config);
+  updateDistanceModeHint(sauna.config);
   const validation = validateSauna(sauna);
   const plan = generatePlanSvg(sauna.config, {
     title: `Fundamentplan ${sauna.name}`,
     typography: {
       dimTextFontSizePx: sauna.exportSettings.dimTextFontSizePx,
     },
+    distanceReference: sauna.exportSettings.distanceDimensionMode,
   });
+  const reinforcement = computeReinforcement(sauna.config);
+
+  const section = sauna.exportSettings.sectionView === "none"
+    ? null
+    : generateSectionSvg(sauna.config, {
+        view: sauna.exportSettings.sectionView,
+        typography: {
+          dimTextFontSizePx: sauna.exportSettings.dimTextFontSizePx,
+        },
+        reinforcement: sauna.exportSettings.showReinforcement ? reinforcement : undefined,
+      });
+  const concrete = computeConcreteTakeoff(sauna.config);
+  const pressure = computeGroundPressure(sauna.config);
 
   const template = getTemplateById(sauna.exportSettings.templateId);
   const composed = composePlanDocument({
@@ -387,17 +1767,35 @@ function renderPreview() {
     planSvg: plan.svgElement,
     planGeometryBounds: plan.geometryBounds,
     planAnnotationBounds: plan.annotationBounds,
+    sectionSvg: section?.svgElement,
+    sectionGeometryBounds: section?.geometryBounds,
+    sectionAnnotationBounds: section?.annotationBounds,
     meta: {
       title: "Fundamentplan",
       modelName: sauna.name,
+      thumbnail: getExportedImages(sauna).find((image) => image.isPrimary),
     },
     notes: [
       "Alle Masse in cm (ca.-Angaben).",
-      "F\u00FC\u00DFe und Fundamentstreifen sind als Draufsicht dargestellt.",
+      section
+        ? "Draufsicht oben, Schnitt unten (Fu\u00DFh\u00F6he schematisch)."
+        : "F\u00FC\u00DFe und Fundamentstreifen sind als Draufsicht dargestellt.",
+      formatConcreteSummary(concrete),
+      formatReinforcementSummary(reinforcement),
+      formatLoadSummary(pressure),
+      ...(sauna.config.frostDepthPreset
+        ? [`Frosttiefe ${format(sauna.config.foundationDepth)} cm, Vorgabe ${formatFrostDepthPreset(sauna.config.frostDepthPreset)} (Stand ${FROST_DEPTH_TABLE_VERSION}).`]
+        : []),
     ],
   });
 
-  const warnings = [...state.runtimeWarnings, ...validation.warnings, ...plan.warnings];
+  const warnings = [
+    ...state.runtimeWarnings,
+    ...validation.warnings,
+    ...plan.warnings,
+    ...(section?.warnings || []),
+    ...reinforcement.warnings,
+  ];
   if (composed.fit.warning) {
     warnings.push(composed.fit.warning);
   }
@@ -407,8 +1805,10 @@ function renderPreview() {
 
   state.previewSvg = plan.svgElement;
   state.composedDocument = composed;
+  state.previewWarnings = warnings;
 
   renderWarnings(warnings);
+  renderMaterialSummary(concrete, reinforcement);
 }
 
 const renderPreviewDebounced = debounce(renderPreview, 100);
@@ -429,6 +1829,106 @@ function renderWarnings(warnings) {
   }
 }
 
+function renderMaterialSummary(concrete, reinforcement) {
+  elements.materialSummary.innerHTML = "";
+  renderDataTable(elements.materialSummary, toConcreteTable(concrete));
+
+  const barSchedule = toBarScheduleTable(reinforcement);
+  const heading = document.createElement("h4");
+  heading.textContent = barSchedule.heading;
+  elements.materialSummary.appendChild(heading);
+  renderDataTable(elements.materialSummary, barSchedule);
+}
+
+function renderDataTable(container, { columns, rows, footnote }) {
+  const table = document.createElement("table");
+  table.className = "data-table";
+
+  const head = document.createElement("tr");
+  for (const label of columns) {
+    const th = document.createElement("th");
+    th.textContent = label;
+    head.appendChild(th);
+  }
+  table.appendChild(head);
+
+  for (const cells of rows) {
+    const row = document.createElement("tr");
+    for (const cell of cells) {
+      const td = document.createElement("td");
+      td.textContent = cell;
+      row.appendChild(td);
+    }
+    table.appendChild(row);
+  }
+
+  container.appendChild(table);
+
+  if (footnote) {
+    const hint = document.createElement("p");
+    hint.className = "hint-text";
+    hint.textContent = footnote;
+    container.appendChild(hint);
+  }
+}
+
+function buildAppendixPages(sauna) {
+  const template = getTemplateById(sauna.exportSettings.templateId);
+  const typography = { dimTextFontSizePx: sauna.exportSettings.dimTextFontSizePx };
+  const reinforcementPlan = computeReinforcement(sauna.config);
+  const reinforcement = sauna.exportSettings.showReinforcement ? reinforcementPlan : undefined;
+  const pages = [];
+
+  const longitudinal = generateSectionSvg(sauna.config, { view: "longitudinal", typography, reinforcement });
+  const transverse = generateSectionSvg(sauna.config, { view: "transverse", typography, reinforcement });
+  pages.push(
+    composeDrawingPage({
+      template,
+      meta: { title: "Schnitte", modelName: sauna.name },
+      drawings: [
+        {
+          svg: longitudinal.svgElement,
+          geometryBounds: longitudinal.geometryBounds,
+          annotationBounds: longitudinal.annotationBounds,
+          caption: "Laengsschnitt",
+        },
+        {
+          svg: transverse.svgElement,
+          geometryBounds: transverse.geometryBounds,
+          annotationBounds: transverse.annotationBounds,
+          caption: "Querschnitt",
+        },
+      ],
+    })
+  );
+
+  const concreteTable = toConcreteTable(computeConcreteTakeoff(sauna.config));
+  const barSchedule = toBarScheduleTable(reinforcementPlan);
+  pages.push(
+    composeTablePage({
+      template,
+      meta: { title: "Materialauszug", modelName: sauna.name },
+      tables: [
+        { ...concreteTable, rows: [...concreteTable.rows, [concreteTable.footnote]] },
+        { ...barSchedule, rows: [...barSchedule.rows, [barSchedule.footnote]] },
+      ],
+    })
+  );
+
+  const images = getExportedImages(sauna);
+  if (images.length > 0) {
+    pages.push(
+      ...composeImagePages({
+        template,
+        meta: { title: "Referenzbilder", modelName: sauna.name },
+        images,
+      })
+    );
+  }
+
+  return pages;
+}
+
 function renderImageGallery() {
   elements.imageGallery.innerHTML = "";
 
@@ -440,28 +1940,102 @@ function renderImageGallery() {
     return;
   }
 
-  for (const image of state.currentImages) {
+  state.currentImages.forEach((image, index) => {
     const card = document.createElement("div");
-    card.className = "image-card";
+    card.className = image.isPrimary ? "image-card is-primary" : "image-card";
+    card.draggable = true;
+    card.dataset.imageId = image.id;
 
     const img = document.createElement("img");
     img.src = image.dataUrl;
     img.alt = image.label || "Sauna-Bild";
+    img.draggable = false;
+
+    const labelField = document.createElement("label");
+    labelField.textContent = "Beschriftung";
+    const labelInput = document.createElement("input");
+    labelInput.type = "text";
+    labelInput.placeholder = `Bild ${index + 1}`;
+    labelInput.value = image.label || "";
+    labelInput.dataset.action = "edit-image-label";
+    labelInput.dataset.imageId = image.id;
+    labelField.appendChild(labelInput);
+
+    const size = document.createElement("span");
+    size.className = "image-size";
+    size.textContent = image.originalBytes > image.bytes
+      ? `${formatBytes(image.originalBytes)} \u2192 ${formatBytes(image.bytes)}`
+      : formatBytes(image.bytes);
+    size.title = "Originalgroesse \u2192 gespeicherte Groesse";
+
+    const primaryField = createImageCheckbox(image.id, "toggle-primary-image", "Hauptbild", image.isPrimary);
+    const exportField = createImageCheckbox(image.id, "toggle-image-export", "Im Export", image.includeInExport);
 
     const toolbar = document.createElement("div");
     toolbar.className = "toolbar";
+    toolbar.appendChild(createImageButton(image.id, "move-image", "\u2190", "Nach vorne", index === 0, -1));
+    toolbar.appendChild(
+      createImageButton(image.id, "move-image", "\u2192", "Nach hinten", index === state.currentImages.length - 1, 1)
+    );
+    toolbar.appendChild(createImageButton(image.id, "remove-image", "Entfernen", "Bild entfernen", false));
 
-    const removeButton = document.createElement("button");
-    removeButton.type = "button";
-    removeButton.dataset.action = "remove-image";
-    removeButton.dataset.imageId = image.id;
-    removeButton.textContent = "Bild entfernen";
-
-    toolbar.appendChild(removeButton);
     card.appendChild(img);
+    card.appendChild(size);
+    card.appendChild(labelField);
+    card.appendChild(primaryField);
+    card.appendChild(exportField);
     card.appendChild(toolbar);
     elements.imageGallery.appendChild(card);
+  });
+}
+
+function createImageCheckbox(imageId, action, text, checked) {
+  const label = document.createElement("label");
+  label.className = "checkbox-label";
+  const input = document.createElement("input");
+  input.type = "checkbox";
+  input.checked = checked;
+  input.dataset.action = action;
+  input.dataset.imageId = imageId;
+  label.appendChild(input);
+  label.appendChild(document.createTextNode(text));
+  return label;
+}
+
+function createImageButton(imageId, action, text, title, disabled, step) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.dataset.action = action;
+  button.dataset.imageId = imageId;
+  if (step !== undefined) {
+    button.dataset.step = String(step);
   }
+  button.textContent = text;
+  button.title = title;
+  button.setAttribute("aria-label", title);
+  button.disabled = disabled;
+  return button;
+}
+
+/**
+ * Verschiebt ein Bild an die Zielposition in state.currentImages.
+ * @returns {boolean} false, wenn sich die Reihenfolge nicht aendert
+ */
+function moveImage(imageId, targetIndex) {
+  const sourceIndex = state.currentImages.findIndex((image) => image.id === imageId);
+  const clamped = Math.max(0, Math.min(state.currentImages.length - 1, targetIndex));
+  if (sourceIndex < 0 || sourceIndex === clamped) {
+    return false;
+  }
+  const images = [...state.currentImages];
+  const [moved] = images.splice(sourceIndex, 1);
+  images.splice(clamped, 0, moved);
+  state.currentImages = images;
+  return true;
+}
+
+function getExportedImages(sauna) {
+  return sauna.images.filter((image) => image.includeInExport);
 }
 
 async function handleImageFile(file, sourceLabel) {
@@ -473,31 +2047,38 @@ async function handleImageFile(file, sourceLabel) {
     renderPreview();
     return;
   }
-  if (file.size > IMAGE_MAX_BYTES) {
-    warnings.push(`${sourceLabel}: Bild ist groesser als 5 MB.`);
-    setRuntimeWarnings(warnings);
-    renderPreview();
-    return;
-  }
 
   try {
-    const dataUrl = await readFileAsDataUrl(file);
-    if (!dataUrl.startsWith("data:image/")) {
+    const processed = await processImageFile(file, { ...state.imageProcessing, maxBytes: IMAGE_MAX_BYTES });
+    if (!processed.dataUrl.startsWith("data:image/")) {
       warnings.push(`${sourceLabel}: Datei konnte nicht als Bild gelesen werden.`);
       setRuntimeWarnings(warnings);
       renderPreview();
       return;
     }
+    // Abgelehnt wird erst, wenn das Bild auch nach dem Verkleinern zu gross ist.
+    if (processed.bytes > IMAGE_MAX_BYTES) {
+      warnings.push(
+        `${sourceLabel}: Bild ist auch nach der Komprimierung groesser als 5 MB (${formatBytes(processed.bytes)}). `
+          + "Kantenlaenge oder Qualitaet unter Bildimport verringern."
+      );
+      setRuntimeWarnings(warnings);
+      renderPreview();
+      return;
+    }
 
     state.currentImages.push({
       id: `img-${Date.now()}-${Math.floor(Math.random() * 100000)}`,
-      dataUrl,
-      mimeType: file.type,
-      bytes: file.size,
+      dataUrl: processed.dataUrl,
+      mimeType: processed.mimeType,
+      bytes: processed.bytes,
+      originalBytes: processed.originalBytes,
       createdAt: new Date().toISOString(),
+      isPrimary: false,
+      includeInExport: true,
     });
 
-    state.dirty = true;
+    recordHistory();
     state.runtimeWarnings = [];
     renderImageGallery();
     renderPreview();
@@ -511,13 +2092,9 @@ function setRuntimeWarnings(warnings) {
   state.runtimeWarnings = Array.isArray(warnings) ? warnings : [];
 }
 
-function readFileAsDataUrl(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onerror = () => reject(new Error("FileReader-Fehler"));
-    reader.onload = () => resolve(String(reader.result || ""));
-    reader.readAsDataURL(file);
-  });
+function writeImageProcessingSettings() {
+  elements.imageMaxEdge.value = String(state.imageProcessing.maxEdgePx);
+  elements.imageQuality.value = String(Math.round(state.imageProcessing.quality * 100));
 }
 
 function parseNumber(raw) {
@@ -536,10 +2113,17 @@ function debounce(fn, waitMs) {
   };
 }
 
+function formatTimestamp(isoDate) {
+  const date = new Date(isoDate);
+  return Number.isNaN(date.getTime()) ? "-" : date.toLocaleString("de-DE");
+}
+
 function format(value) {
   const n = Number(value) || 0;
   return Number.isInteger(n) ? String(n) : n.toFixed(2);
 }
 
-
-
+function formatSigned(value) {
+  const n = Number(value) || 0;
+  return n > 0 ? `+${format(n)}` : format(n);
+}
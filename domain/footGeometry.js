@@ -0,0 +1,206 @@
+﻿const DEFAULT_GRID_CM = 0.5;
+const DEFAULT_MIDDLE_FACTOR = 1.25;
+
+/**
+ * @typedef {Object} PlanMetrics
+ * @property {number} footCount
+ * @property {number} totalFootSpan
+ * @property {number} firstToLast
+ */
+
+/**
+ * @typedef {Object} FoundationLayout
+ * @property {"strip"|"point"} type
+ * @property {number} sizeX Ausdehnung eines Fundamentkoerpers quer zur Fassachse (cm)
+ * @property {number} sizeY Ausdehnung eines Fundamentkoerpers laengs zur Fassachse (cm)
+ * @property {number[]} offsetsX Mitten der Fundamentkoerper je Fuss, bezogen auf die Fassachse (cm)
+ */
+
+/**
+ * Aufgeloeste Masse eines einzelnen Fusses (Standardwerte plus footOverrides).
+ * @typedef {Object} FootSpec
+ * @property {number} index
+ * @property {number} footWidth
+ * @property {number} footThickness
+ * @property {boolean} overridden
+ * @property {FoundationLayout} foundation
+ */
+
+/**
+ * Zentrale Fachregel fuer die Fundamentkoerper unter einem Fuss:
+ * - "strip": ein Streifen, quer exakt so breit wie der Fuss, laengs foundationWidth.
+ * - "point": zwei quadratische Punktfundamente (pointFoundationSize), jeweils
+ *   pointFoundationInset vom Fussende nach innen versetzt.
+ * Ohne footIndex gelten die Standardwerte, sonst die Masse des jeweiligen Fusses.
+ * @param {import("./sauna.js").SaunaConfig} saunaConfig
+ * @param {number=} footIndex
+ * @returns {FoundationLayout}
+ */
+export function computeFoundationLayout(saunaConfig, footIndex) {
+  const override = getFootOverride(saunaConfig, footIndex);
+  const footWidth = overrideOr(override.footWidth, saunaConfig.footWidth);
+  if (saunaConfig.foundationType !== "point") {
+    return {
+      type: "strip",
+      sizeX: footWidth,
+      sizeY: overrideOr(override.foundationSize, saunaConfig.foundationWidth),
+      offsetsX: [0],
+    };
+  }
+
+  const size = overrideOr(override.foundationSize, saunaConfig.pointFoundationSize);
+  const inset = Math.max(0, Number(saunaConfig.pointFoundationInset) || 0);
+  const offset = footWidth / 2 - inset - size / 2;
+  return { type: "point", sizeX: size, sizeY: size, offsetsX: [-offset, offset] };
+}
+
+/**
+ * Einzige Aufloesung der footOverrides gegen die Standardwerte; Plan, Schnitte, Berechnungen
+ * und validateSauna arbeiten alle mit diesen Massen.
+ * @param {import("./sauna.js").SaunaConfig} saunaConfig
+ * @returns {FootSpec[]}
+ */
+export function resolveFootSpecs(saunaConfig) {
+  const distances = Array.isArray(saunaConfig.footDistances) ? saunaConfig.footDistances : [];
+  const specs = [];
+  for (let index = 0; index <= distances.length; index += 1) {
+    const override = getFootOverride(saunaConfig, index);
+    specs.push({
+      index,
+      footWidth: overrideOr(override.footWidth, saunaConfig.footWidth),
+      footThickness: overrideOr(override.footThickness, saunaConfig.footThickness),
+      overridden: Object.values(override).some((value) => Number(value) > 0),
+      foundation: computeFoundationLayout(saunaConfig, index),
+    });
+  }
+  return specs;
+}
+
+/**
+ * Fussanzahl und Fussspanne (Aussenkante erster bis Aussenkante letzter Fuss) fuer Plan und Laengenpruefung.
+ * @param {import("./sauna.js").SaunaConfig} saunaConfig
+ * @returns {PlanMetrics}
+ */
+export function computeDerivedDimensions(saunaConfig) {
+  const distances = Array.isArray(saunaConfig.footDistances) ? saunaConfig.footDistances : [];
+  const thicknesses = resolveFootSpecs(saunaConfig).map((spec) => spec.footThickness);
+  const footCount = thicknesses.length;
+  const innerSum = distances.reduce((sum, value) => sum + Math.max(0, Number(value) || 0), 0);
+  const totalFootSpan = innerSum + thicknesses.reduce((sum, value) => sum + value, 0);
+  // Achsmass erster bis letzter Fuss
+  const firstToLast = Math.max(0, totalFootSpan - thicknesses[0] / 2 - thicknesses[footCount - 1] / 2);
+  return { footCount, totalFootSpan, firstToLast };
+}
+
+/**
+ * Abstand von der unteren Fasskante (Fassende) bis zur Mitte des ersten Fusses:
+ * frontOverhang plus halbe Fussdicke. Ohne frontOverhang schliesst das erste Fundament
+ * buendig mit der Fasskante ab (Verhalten aelterer Datensaetze).
+ * @param {import("./sauna.js").SaunaConfig} saunaConfig
+ * @returns {number}
+ */
+export function computeFirstFootOffset(saunaConfig) {
+  const firstFoot = resolveFootSpecs(saunaConfig)[0];
+  const frontOverhang = Number(saunaConfig.frontOverhang);
+  if (saunaConfig.frontOverhang === undefined || !Number.isFinite(frontOverhang)) {
+    return firstFoot.foundation.sizeY / 2;
+  }
+  return Math.max(0, frontOverhang) + firstFoot.footThickness / 2;
+}
+
+/**
+ * Fussmitten laengs zum Fass, gemessen ab der Aussenkante des ersten Fusses.
+ * @param {import("./sauna.js").SaunaConfig} saunaConfig
+ * @returns {number[]}
+ */
+export function computeFootCenters(saunaConfig) {
+  const distances = Array.isArray(saunaConfig.footDistances) ? saunaConfig.footDistances : [];
+  const thicknesses = resolveFootSpecs(saunaConfig).map((spec) => spec.footThickness);
+  const centers = [thicknesses[0] / 2];
+  distances.forEach((distance, i) => {
+    const innerGap = Math.max(0, Number(distance) || 0);
+    centers.push(centers[i] + thicknesses[i] / 2 + innerGap + thicknesses[i + 1] / 2);
+  });
+  return centers;
+}
+
+/**
+ * @typedef {Object} DistributionOptions
+ * @property {number} footCount
+ * @property {number} frontOverhang
+ * @property {number} rearOverhang
+ * @property {"equal"|"symmetric"} strategy "symmetric": mittlere Spanne(n) um middleFactor groesser
+ * @property {number=} middleFactor
+ * @property {number=} gridCm Rundungsraster der Innenabstaende
+ */
+
+/**
+ * Verteilt footCount Fuesse zwischen den Ueberstaenden ueber die Fasslaenge.
+ * Die Innenabstaende werden auf das Raster gerundet; der Rundungsrest geht je zur Haelfte
+ * in die Ueberstaende, damit Ueberstaende und Fussspanne weiterhin die Fasslaenge ergeben.
+ * @param {import("./sauna.js").SaunaConfig} saunaConfig
+ * @param {DistributionOptions} options
+ * @returns {{ footDistances: number[], frontOverhang: number, rearOverhang: number }}
+ */
+export function distributeFeet(saunaConfig, options) {
+  const footCount = Math.floor(Number(options.footCount) || 0);
+  if (footCount < 2) {
+    throw new Error("Fuer die Verteilung werden mindestens 2 Fuesse benoetigt.");
+  }
+  const gridCm = Number(options.gridCm) > 0 ? Number(options.gridCm) : DEFAULT_GRID_CM;
+  const middleFactor = Number(options.middleFactor) > 0 ? Number(options.middleFactor) : DEFAULT_MIDDLE_FACTOR;
+  const barrelLength = Math.max(0, Number(saunaConfig.barrelLength) || 0);
+  const frontOverhang = Math.max(0, Number(options.frontOverhang) || 0);
+  const rearOverhang = Math.max(0, Number(options.rearOverhang) || 0);
+
+  const gapCount = footCount - 1;
+  const withoutGaps = { ...saunaConfig, footDistances: new Array(gapCount).fill(0) };
+  const thicknessSum = computeDerivedDimensions(withoutGaps).totalFootSpan;
+  const available = barrelLength - frontOverhang - rearOverhang - thicknessSum;
+  if (available < 0) {
+    throw new Error(`Fuesse passen nicht ins Fass: es fehlen ${round(-available)} cm.`);
+  }
+
+  // Gewichte je Spanne; bei gerader Anzahl teilen sich die beiden mittleren Spannen den Zuschlag.
+  const weights = new Array(gapCount).fill(1);
+  if (options.strategy === "symmetric" && gapCount > 2) {
+    const middle = (gapCount - 1) / 2;
+    for (const index of new Set([Math.floor(middle), Math.ceil(middle)])) {
+      weights[index] = middleFactor;
+    }
+  }
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  const footDistances = weights.map((weight) => roundToGrid((available * weight) / weightSum, gridCm));
+
+  const { totalFootSpan } = computeDerivedDimensions({ ...saunaConfig, footDistances });
+  const residual = barrelLength - frontOverhang - rearOverhang - totalFootSpan;
+  return {
+    footDistances,
+    frontOverhang: round(frontOverhang + residual / 2),
+    rearOverhang: round(rearOverhang + residual / 2),
+  };
+}
+
+function getFootOverride(saunaConfig, footIndex) {
+  const overrides = Array.isArray(saunaConfig.footOverrides) ? saunaConfig.footOverrides : [];
+  const override = Number.isInteger(footIndex) ? overrides[footIndex] : null;
+  return override && typeof override === "object" ? override : {};
+}
+
+// Abweichung nur bei positivem Wert, sonst gilt der Standardwert.
+function overrideOr(value, fallback) {
+  const number = Number(value);
+  if (Number.isFinite(number) && number > 0) {
+    return number;
+  }
+  return Math.max(0, Number(fallback) || 0);
+}
+
+// Abrunden, damit die Summe der Abstaende die verfuegbare Laenge nie ueberschreitet.
+function roundToGrid(value, gridCm) {
+  return round(Math.floor(value / gridCm + 1e-9) * gridCm);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
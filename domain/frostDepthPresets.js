@@ -0,0 +1,86 @@
+﻿/**
+ * Richtwerte fuer frostfreie Gruendungstiefen: Basistiefe je Region/Frostzone plus Zuschlag
+ * je Frostempfindlichkeitsklasse des Bodens. Oertliche Vorgaben (Bauamt, Bodengutachten) haben Vorrang.
+ * Bei Aenderungen an den Tabellen den Stand anpassen.
+ */
+export const FROST_DEPTH_TABLE_VERSION = "2026-10";
+
+/**
+ * @typedef {Object} FrostRegion
+ * @property {string} id
+ * @property {string} label
+ * @property {number} baseDepthCm
+ */
+
+/**
+ * @typedef {Object} FrostSoilClass
+ * @property {string} id
+ * @property {string} label
+ * @property {number} extraDepthCm
+ */
+
+/**
+ * @typedef {Object} FrostDepthPreset
+ * @property {string} regionId
+ * @property {string} soilClassId
+ */
+
+/** @type {FrostRegion[]} */
+export const FROST_REGIONS = [
+  { id: "de_zone1", label: "Deutschland, Frostzone I (mild)", baseDepthCm: 80 },
+  { id: "de_zone2", label: "Deutschland, Frostzone II", baseDepthCm: 100 },
+  { id: "de_zone3", label: "Deutschland, Frostzone III (rau, Hochlagen)", baseDepthCm: 120 },
+  { id: "at_lowland", label: "Oesterreich, Flach- und Huegelland", baseDepthCm: 100 },
+  { id: "at_alpine", label: "Oesterreich, alpine Lagen", baseDepthCm: 150 },
+  { id: "ch_plateau", label: "Schweiz, Mittelland", baseDepthCm: 80 },
+  { id: "ch_alpine", label: "Schweiz, Voralpen und Alpen", baseDepthCm: 120 },
+];
+
+/** @type {FrostSoilClass[]} */
+export const FROST_SOIL_CLASSES = [
+  { id: "f1", label: "F1 nicht frostempfindlich (Kies, Sand)", extraDepthCm: 0 },
+  { id: "f2", label: "F2 gering bis mittel frostempfindlich", extraDepthCm: 10 },
+  { id: "f3", label: "F3 sehr frostempfindlich (Schluff, Ton)", extraDepthCm: 20 },
+];
+
+/**
+ * @param {FrostDepthPreset | null | undefined} preset
+ * @returns {{ region: FrostRegion, soilClass: FrostSoilClass, depthCm: number } | null}
+ */
+export function resolveFrostDepthPreset(preset) {
+  if (!preset) {
+    return null;
+  }
+  const region = FROST_REGIONS.find((item) => item.id === preset.regionId);
+  const soilClass = FROST_SOIL_CLASSES.find((item) => item.id === preset.soilClassId);
+  if (!region || !soilClass) {
+    return null;
+  }
+  return { region, soilClass, depthCm: region.baseDepthCm + soilClass.extraDepthCm };
+}
+
+/**
+ * Bereinigt eine gespeicherte Vorgabe; unbekannte Regionen oder Klassen ergeben null (manuelle Eingabe).
+ * @param {unknown} raw
+ * @returns {FrostDepthPreset | null}
+ */
+export function sanitizeFrostDepthPreset(raw) {
+  if (typeof raw !== "object" || raw === null) {
+    return null;
+  }
+  const preset = { regionId: String(raw.regionId || ""), soilClassId: String(raw.soilClassId || "") };
+  return resolveFrostDepthPreset(preset) ? preset : null;
+}
+
+/**
+ * Kurzbeschreibung fuer Legende und Hinweise.
+ * @param {FrostDepthPreset | null | undefined} preset
+ * @returns {string}
+ */
+export function formatFrostDepthPreset(preset) {
+  const resolved = resolveFrostDepthPreset(preset);
+  if (!resolved) {
+    return "";
+  }
+  return `${resolved.region.label}, ${resolved.soilClass.label.split(" ")[0]}: ${resolved.depthCm} cm`;
+}
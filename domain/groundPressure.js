@@ -0,0 +1,129 @@
+﻿import { resolveFootSpecs } from "./footGeometry.js";
+
+const GRAVITY_KN_PER_KG = 9.81 / 1000;
+const CONCRETE_UNIT_WEIGHT_KN_M3 = 24;
+const CM2_PER_M2 = 10000;
+
+/**
+ * Richtwerte fuer den zulaessigen Sohldruck bei Streifen- und Einzelfundamenten geringer Breite.
+ * Sie ersetzen kein Bodengutachten.
+ * @typedef {Object} SoilType
+ * @property {string} id
+ * @property {string} label
+ * @property {number} allowablePressureKnM2
+ */
+
+/** @type {SoilType[]} */
+export const SOIL_TYPES = [
+  { id: "clay_soft", label: "Ton/Lehm, weich", allowablePressureKnM2: 80 },
+  { id: "clay_stiff", label: "Ton/Lehm, steif", allowablePressureKnM2: 150 },
+  { id: "sand_medium", label: "Sand, mitteldicht", allowablePressureKnM2: 200 },
+  { id: "gravel", label: "Kies, dicht gelagert", allowablePressureKnM2: 300 },
+  { id: "rock", label: "Fels", allowablePressureKnM2: 1000 },
+];
+
+export const DEFAULT_SOIL_TYPE_ID = "sand_medium";
+
+/**
+ * @typedef {Object} FootPressure
+ * @property {number} index
+ * @property {number} areaM2 Aufstandsflaeche aller Fundamentkoerper unter dem Fuss
+ * @property {number} loadKn Auflast plus Eigengewicht der Fundamente
+ * @property {number} pressureKnM2
+ * @property {number} utilization Verhaeltnis zum zulaessigen Sohldruck
+ */
+
+/**
+ * @typedef {Object} LoadCheck
+ * @property {SoilType} soil
+ * @property {number} deadLoadKn Leergewicht der Sauna
+ * @property {number} peopleLoadKn
+ * @property {number} snowLoadKn Schnee auf der Grundrissflaeche des Fasses
+ * @property {number} totalLoadKn
+ * @property {number} loadPerFootKn
+ * @property {FootPressure[]} feet
+ * @property {number} maxPressureKnM2
+ * @property {boolean} ok
+ */
+
+/**
+ * @param {string} id
+ * @returns {SoilType}
+ */
+export function getSoilType(id) {
+  return SOIL_TYPES.find((soil) => soil.id === id) || SOIL_TYPES.find((soil) => soil.id === DEFAULT_SOIL_TYPE_ID);
+}
+
+/**
+ * Sohldrucknachweis: Leergewicht, Personen- und Schneelast werden gleichmaessig auf die Fuesse verteilt
+ * und zusammen mit dem Eigengewicht der Fundamente auf deren Aufstandsflaeche bezogen.
+ * @param {import("./sauna.js").SaunaConfig} saunaConfig
+ * @returns {LoadCheck}
+ */
+export function computeGroundPressure(saunaConfig) {
+  const soil = getSoilType(saunaConfig.soilType);
+  const footSpecs = resolveFootSpecs(saunaConfig);
+  const footCount = footSpecs.length;
+
+  const deadLoadKn = nonNegative(saunaConfig.emptyWeightKg) * GRAVITY_KN_PER_KG;
+  const peopleLoadKn = nonNegative(saunaConfig.peopleLoadKg) * GRAVITY_KN_PER_KG;
+  const footprintM2 = (nonNegative(saunaConfig.barrelLength) * nonNegative(saunaConfig.barrelWidth)) / CM2_PER_M2;
+  const snowLoadKn = nonNegative(saunaConfig.snowLoadKnM2) * footprintM2;
+  const totalLoadKn = deadLoadKn + peopleLoadKn + snowLoadKn;
+  const loadPerFootKn = totalLoadKn / footCount;
+  const depthM = nonNegative(saunaConfig.foundationDepth) / 100;
+
+  const feet = footSpecs.map((spec) => {
+    const { sizeX, sizeY, offsetsX } = spec.foundation;
+    const areaM2 = (sizeX * sizeY * offsetsX.length) / CM2_PER_M2;
+    const loadKn = loadPerFootKn + areaM2 * depthM * CONCRETE_UNIT_WEIGHT_KN_M3;
+    const pressureKnM2 = areaM2 > 0 ? loadKn / areaM2 : Number.POSITIVE_INFINITY;
+    return {
+      index: spec.index,
+      areaM2,
+      loadKn,
+      pressureKnM2,
+      utilization: pressureKnM2 / soil.allowablePressureKnM2,
+    };
+  });
+
+  const maxPressureKnM2 = Math.max(...feet.map((foot) => foot.pressureKnM2));
+  return {
+    soil,
+    deadLoadKn,
+    peopleLoadKn,
+    snowLoadKn,
+    totalLoadKn,
+    loadPerFootKn,
+    feet,
+    maxPressureKnM2,
+    ok: maxPressureKnM2 <= soil.allowablePressureKnM2,
+  };
+}
+
+/**
+ * Einzeilige Zusammenfassung fuer die Planlegende.
+ * @param {LoadCheck} check
+ * @returns {string}
+ */
+export function formatLoadSummary(check) {
+  const relation = check.ok ? "<=" : ">";
+  return `Sohldruck: ${formatKn(check.totalLoadKn)} kN auf ${check.feet.length} F\u00FC\u00DFe, `
+    + `max. ${formatKn(check.maxPressureKnM2)} kN/m² ${relation} ${formatKn(check.soil.allowablePressureKnM2)} kN/m² `
+    + `(${check.soil.label}).`;
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+export function formatKn(value) {
+  if (!Number.isFinite(value)) {
+    return "-";
+  }
+  return (Math.round(value * 10) / 10).toFixed(1);
+}
+
+function nonNegative(value) {
+  return Math.max(0, Number(value) || 0);
+}
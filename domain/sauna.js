@@ -1,14 +1,39 @@
-﻿export const IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+﻿import { computeDerivedDimensions, resolveFootSpecs } from "./footGeometry.js";
+import { DEFAULT_SOIL_TYPE_ID, SOIL_TYPES, computeGroundPressure, formatKn } from "./groundPressure.js";
+import { formatFrostDepthPreset, resolveFrostDepthPreset, sanitizeFrostDepthPreset } from "./frostDepthPresets.js";
+
+export const IMAGE_MAX_BYTES = 5 * 1024 * 1024;
 const ALLOWED_IMAGE_MIME_TYPES = ["image/png", "image/jpeg", "image/webp"];
+const SECTION_VIEWS = ["none", "longitudinal", "transverse"];
+const FOUNDATION_TYPES = ["strip", "point"];
+const DISTANCE_MODES = ["inner", "center", "barrelEnd"];
+const DEFAULT_POINT_FOUNDATION_SIZE = 40;
+const DEFAULT_POINT_FOUNDATION_INSET = 10;
+const FOOT_OVERRIDE_KEYS = ["footWidth", "footThickness", "foundationSize"];
+const DEFAULT_EMPTY_WEIGHT_KG = 1000;
+const DEFAULT_PEOPLE_LOAD_KG = 400;
+const DEFAULT_SNOW_LOAD_KN_M2 = 0.85;
+const MAX_TAG_LENGTH = 40;
 
 /**
  * @typedef {Object} SaunaImage
  * @property {string} id
  * @property {string} dataUrl
  * @property {string} mimeType
- * @property {number} bytes
+ * @property {number} bytes gespeicherte Groesse nach Verkleinerung/Neukodierung
+ * @property {number} originalBytes Groesse der importierten Datei
  * @property {string} createdAt
  * @property {string=} label
+ * @property {boolean} isPrimary Hauptbild; erscheint als Vorschaubild im Plankopf (hoechstens eines)
+ * @property {boolean} includeInExport Bild erscheint auf den Bildseiten des PDF-Anhangs
+ */
+
+/**
+ * Abweichende Masse fuer einzelne Fuesse; nicht gesetzte Werte folgen der Standardkonfiguration.
+ * @typedef {Object} FootOverride
+ * @property {number=} footWidth
+ * @property {number=} footThickness
+ * @property {number=} foundationSize Ersetzt foundationWidth ("strip") bzw. pointFoundationSize ("point")
  */
 
 /**
@@ -17,9 +42,21 @@ const ALLOWED_IMAGE_MIME_TYPES = ["image/png", "image/jpeg", "image/webp"];
  * @property {number} barrelWidth
  * @property {number} footWidth
  * @property {number} footThickness
- * @property {number} foundationWidth
+ * @property {number} foundationWidth Streifenbreite laengs zum Fass (nur "strip")
  * @property {number} foundationDepth
+ * @property {import("./frostDepthPresets.js").FrostDepthPreset | null} frostDepthPreset Gewaehlte Vorgabe; null = manuelle Frosttiefe
+ * @property {"strip"|"point"} foundationType Durchgehender Streifen oder zwei Punktfundamente je Fuss
+ * @property {number} pointFoundationSize Kantenlaenge der quadratischen Punktfundamente
+ * @property {number} pointFoundationInset Abstand Fussende bis Aussenkante Punktfundament
  * @property {number[]} footDistances Innenabstaende zwischen benachbarten Fuessen (Kante zu Kante, laengs)
+ * @property {FootOverride[]} footOverrides Index = Fussnummer ab 0 (unterste Fasskante)
+ * @property {"inner"|"center"|"barrelEnd"} distanceInputMode Eingabeform im Abstandseditor; gespeichert wird immer footDistances
+ * @property {number} frontOverhang Ueberstand vorne: untere Fasskante bis Aussenkante Fuss 1
+ * @property {number} rearOverhang Ueberstand hinten: obere Fasskante bis Aussenkante letzter Fuss
+ * @property {number} emptyWeightKg Leergewicht der Sauna
+ * @property {number} peopleLoadKg Personenlast gesamt
+ * @property {number} snowLoadKnM2 Schneelast auf der Grundrissflaeche des Fasses
+ * @property {string} soilType id aus SOIL_TYPES (domain/groundPressure.js)
  */
 
 /**
@@ -27,17 +64,23 @@ const ALLOWED_IMAGE_MIME_TYPES = ["image/png", "image/jpeg", "image/webp"];
  * @property {string} templateId
  * @property {"pdf"|"svg"} format
  * @property {number} dimTextFontSizePx
+ * @property {"none"|"longitudinal"|"transverse"} sectionView Schnittansicht im eigenen Planbereich
+ * @property {boolean} includeAppendix PDF um Schnitte, Materialauszug und Bilder ergaenzen
+ * @property {boolean} showReinforcement Bewehrungsvorschlag in den Schnitten zeigen
+ * @property {"inner"|"center"|"barrelEnd"} distanceDimensionMode Bezugssystem der Abstandsbemassung im Plan
  */
 
 /**
  * @typedef {Object} Sauna
  * @property {string} id
  * @property {string} name
+ * @property {string[]} tags Freie Schlagworte, z. B. Serie, Kunde oder Status
  * @property {number} revision
  * @property {string} createdAt
  * @property {string} updatedAt
  * @property {SaunaConfig} config
  * @property {SaunaImage[]} images
+ * @property {number=} imageCount Nur in Listen ohne Bilddaten (getAll, querySaunas): Anzahl der gespeicherten Bilder
  * @property {ExportSettings} exportSettings
  */
 
@@ -49,6 +92,7 @@ export function createEmptySauna() {
   return {
     id: createSaunaId(),
     name: "Neues Modell",
+    tags: [],
     revision: 1,
     createdAt: now,
     updatedAt: now,
@@ -57,6 +101,10 @@ export function createEmptySauna() {
       templateId: "A4_PORTRAIT_STANDARD",
       format: "pdf",
       dimTextFontSizePx: 12,
+      sectionView: "longitudinal",
+      includeAppendix: true,
+      showReinforcement: false,
+      distanceDimensionMode: "inner",
     },
     config: {
       barrelLength: 220,
@@ -65,7 +113,19 @@ export function createEmptySauna() {
       footThickness: 8,
       foundationWidth: 40,
       foundationDepth: 80,
-      footDistances: [79, 100, 79],
+      frostDepthPreset: null,
+      foundationType: "strip",
+      pointFoundationSize: DEFAULT_POINT_FOUNDATION_SIZE,
+      pointFoundationInset: DEFAULT_POINT_FOUNDATION_INSET,
+      footDistances: [50, 56, 50],
+      footOverrides: [],
+      distanceInputMode: "inner",
+      frontOverhang: 16,
+      rearOverhang: 16,
+      emptyWeightKg: DEFAULT_EMPTY_WEIGHT_KG,
+      peopleLoadKg: DEFAULT_PEOPLE_LOAD_KG,
+      snowLoadKnM2: DEFAULT_SNOW_LOAD_KN_M2,
+      soilType: DEFAULT_SOIL_TYPE_ID,
     },
   };
 }
@@ -82,25 +142,48 @@ export function sanitizeSauna(raw) {
   const footDistancesRaw = Array.isArray(configSource.footDistances) ? configSource.footDistances : [];
   const footDistances = footDistancesRaw.map((value) => sanitizeNumber(value));
 
-  const images = sanitizeImages(source);
+  const images = sanitizeImages(source.images);
+
+  const config = {
+    barrelLength: sanitizeNumber(configSource.barrelLength),
+    barrelWidth: sanitizeNumber(configSource.barrelWidth),
+    footWidth: sanitizeNumber(configSource.footWidth),
+    footThickness: sanitizeNumber(configSource.footThickness),
+    foundationWidth: sanitizeNumber(configSource.foundationWidth),
+    foundationDepth: sanitizeNumber(configSource.foundationDepth),
+    frostDepthPreset: sanitizeFrostDepthPreset(configSource.frostDepthPreset),
+    foundationType: FOUNDATION_TYPES.includes(configSource.foundationType) ? configSource.foundationType : "strip",
+    pointFoundationSize: sanitizeNumberOr(configSource.pointFoundationSize, DEFAULT_POINT_FOUNDATION_SIZE),
+    pointFoundationInset: sanitizeNumberOr(configSource.pointFoundationInset, DEFAULT_POINT_FOUNDATION_INSET),
+    footDistances,
+    footOverrides: sanitizeFootOverrides(configSource.footOverrides, footDistances.length + 1),
+    distanceInputMode: DISTANCE_MODES.includes(configSource.distanceInputMode) ? configSource.distanceInputMode : "inner",
+    emptyWeightKg: sanitizeNumberOr(configSource.emptyWeightKg, DEFAULT_EMPTY_WEIGHT_KG),
+    peopleLoadKg: sanitizeNumberOr(configSource.peopleLoadKg, DEFAULT_PEOPLE_LOAD_KG),
+    snowLoadKnM2: sanitizeNumberOr(configSource.snowLoadKnM2, DEFAULT_SNOW_LOAD_KN_M2),
+    soilType: SOIL_TYPES.some((soil) => soil.id === configSource.soilType) ? configSource.soilType : DEFAULT_SOIL_TYPE_ID,
+  };
+
+  // Aeltere Datensaetze ohne Ueberstaende: erstes Fundament buendig an der unteren Fasskante,
+  // hinten der verbleibende Rest der Fasslaenge.
+  const feet = resolveFootSpecs(config);
+  const legacyFront = Math.max(0, (feet[0].foundation.sizeY - feet[0].footThickness) / 2);
+  config.frontOverhang = sanitizeNumberOr(configSource.frontOverhang, round(legacyFront));
+  config.rearOverhang = sanitizeNumberOr(
+    configSource.rearOverhang,
+    sanitizeNumber(config.barrelLength - config.frontOverhang - computeDerivedDimensions(config).totalFootSpan)
+  );
 
   return {
     id: sanitizeId(source.id),
     name: typeof source.name === "string" && source.name.trim() ? source.name.trim() : "Unbenannt",
+    tags: sanitizeTags(source.tags),
     revision: sanitizeRevision(source.revision),
     createdAt: sanitizeIsoDate(source.createdAt) || now,
     updatedAt: sanitizeIsoDate(source.updatedAt) || now,
     images,
     exportSettings: sanitizeExportSettings(source.exportSettings),
-    config: {
-      barrelLength: sanitizeNumber(configSource.barrelLength),
-      barrelWidth: sanitizeNumber(configSource.barrelWidth),
-      footWidth: sanitizeNumber(configSource.footWidth),
-      footThickness: sanitizeNumber(configSource.footThickness),
-      foundationWidth: sanitizeNumber(configSource.foundationWidth),
-      foundationDepth: sanitizeNumber(configSource.foundationDepth),
-      footDistances,
-    },
+    config,
   };
 }
 
@@ -117,6 +200,27 @@ export function nextRevision(sauna) {
   };
 }
 
+/**
+ * Tiefe Kopie als eigenstaendiges Modell: neue id, Revision 1, neue Bild-ids.
+ * Ohne abweichenden Namen wird " (Kopie)" angehaengt.
+ * @param {Sauna} sauna
+ * @param {{ name?: string }=} options
+ * @returns {Sauna}
+ */
+export function duplicateSauna(sauna, options = {}) {
+  const source = sanitizeSauna(JSON.parse(JSON.stringify(sauna)));
+  const now = new Date().toISOString();
+  return sanitizeSauna({
+    ...source,
+    id: createSaunaId(),
+    name: typeof options.name === "string" && options.name.trim() ? options.name : `${source.name} (Kopie)`,
+    revision: 1,
+    createdAt: now,
+    updatedAt: now,
+    images: source.images.map((image) => ({ ...image, id: createImageId() })),
+  });
+}
+
 /**
  * @param {Sauna} sauna
  * @returns {{ warnings: string[] }}
@@ -131,9 +235,45 @@ export function validateSauna(sauna) {
   if (config.footWidth <= 0 || config.footThickness <= 0) {
     warnings.push("Fussmasse sollten groesser als 0 cm sein.");
   }
-  if (config.foundationWidth <= 0 || config.foundationDepth <= 0) {
+  if (config.foundationType === "point") {
+    if (config.pointFoundationSize <= 0 || config.foundationDepth <= 0) {
+      warnings.push("Punktfundamentgroesse und Frosttiefe sollten groesser als 0 cm sein.");
+    }
+  } else if (config.foundationWidth <= 0 || config.foundationDepth <= 0) {
     warnings.push("Fundamentbreite und Frosttiefe sollten groesser als 0 cm sein.");
   }
+  const frostPreset = resolveFrostDepthPreset(config.frostDepthPreset);
+  if (frostPreset && config.foundationDepth < frostPreset.depthCm) {
+    warnings.push(
+      `Frosttiefe ${config.foundationDepth} cm liegt unter der Vorgabe (${formatFrostDepthPreset(config.frostDepthPreset)}).`
+    );
+  }
+
+  const feet = resolveFootSpecs(config);
+  const occupiedLength = config.frontOverhang + computeDerivedDimensions(config).totalFootSpan + config.rearOverhang;
+  if (config.barrelLength > 0 && Math.abs(occupiedLength - config.barrelLength) > 0.5) {
+    warnings.push(
+      `Ueberstaende und Fussspanne ergeben ${round(occupiedLength)} cm, die Fasslaenge betraegt ${config.barrelLength} cm.`
+    );
+  }
+  const overlapping = feet.filter((foot) => config.foundationType === "point"
+    && 2 * (config.pointFoundationInset + foot.foundation.sizeX) > foot.footWidth);
+  if (overlapping.length > 0) {
+    warnings.push(`Punktfundamente ueberlappen sich (Fuss ${formatFootList(overlapping)}). Groesse oder Versatz verringern.`);
+  }
+  const pressure = computeGroundPressure(config);
+  const overloaded = pressure.feet.filter((foot) => foot.utilization > 1);
+  if (overloaded.length > 0) {
+    const worst = overloaded.reduce((max, foot) => (foot.pressureKnM2 > max.pressureKnM2 ? foot : max));
+    warnings.push(
+      `Sohldruck ueberschritten (Fuss ${formatFootList(overloaded)}): ${formatKn(worst.pressureKnM2)} kN/m² `
+      + `> ${formatKn(pressure.soil.allowablePressureKnM2)} kN/m² fuer ${pressure.soil.label}. Fundament vergroessern.`
+    );
+  }
+  const undersized = feet.filter((foot) => foot.foundation.sizeY > 0 && foot.foundation.sizeY < foot.footThickness);
+  if (undersized.length > 0) {
+    warnings.push(`Fundament ist schmaler als der Fuss dick ist (Fuss ${formatFootList(undersized)}).`);
+  }
   if (config.footDistances.length === 0) {
     warnings.push("Es ist kein Innenabstand definiert. Damit wird nur ein Fuss angenommen.");
   }
@@ -161,11 +301,32 @@ export function validateSauna(sauna) {
   return { warnings };
 }
 
-function sanitizeImages(source) {
+/**
+ * Schlagworte getrimmt, ohne Leereintraege und ohne Dubletten (Gross-/Kleinschreibung egal).
+ * Akzeptiert ein Array oder eine kommagetrennte Eingabe.
+ * @param {unknown} raw
+ * @returns {string[]}
+ */
+export function sanitizeTags(raw) {
+  const list = typeof raw === "string" ? raw.split(",") : Array.isArray(raw) ? raw : [];
+  const seen = new Set();
+  const tags = [];
+  for (const item of list) {
+    const tag = typeof item === "string" ? item.trim().replace(/\s+/g, " ").slice(0, MAX_TAG_LENGTH) : "";
+    const key = tag.toLocaleLowerCase("de");
+    if (!tag || seen.has(key)) continue;
+    seen.add(key);
+    tags.push(tag);
+  }
+  return tags;
+}
+
+// Altformate (z. B. imageDataUrl) stellen die Datenbank-Migrationen in saunaStore.js um.
+function sanitizeImages(raw) {
   const images = [];
 
-  if (Array.isArray(source.images)) {
-    for (const image of source.images) {
+  if (Array.isArray(raw)) {
+    for (const image of raw) {
       const sanitized = sanitizeImage(image);
       if (sanitized) {
         images.push(sanitized);
@@ -173,19 +334,11 @@ function sanitizeImages(source) {
     }
   }
 
-  // Legacy-Migration: imageDataUrl -> images[0]
-  if (images.length === 0 && typeof source.imageDataUrl === "string" && source.imageDataUrl.startsWith("data:image/")) {
-    const dataUrl = source.imageDataUrl.trim();
-    const mimeType = extractImageMimeType(dataUrl);
-    if (mimeType) {
-      images.push({
-        id: createImageId(),
-        dataUrl,
-        mimeType,
-        bytes: estimateDataUrlBytes(dataUrl),
-        createdAt: new Date().toISOString(),
-      });
-    }
+  // Nur das erste markierte Bild bleibt Hauptbild.
+  let hasPrimary = false;
+  for (const image of images) {
+    image.isPrimary = image.isPrimary && !hasPrimary;
+    hasPrimary = hasPrimary || image.isPrimary;
   }
 
   return images;
@@ -204,16 +357,46 @@ function sanitizeImage(raw) {
   }
 
   const bytes = Number.isFinite(Number(source.bytes)) ? Math.max(0, Number(source.bytes)) : estimateDataUrlBytes(dataUrl);
+  const originalBytes = Number(source.originalBytes);
   return {
     id: typeof source.id === "string" && source.id.trim() ? source.id.trim() : createImageId(),
     dataUrl,
     mimeType,
     bytes,
+    originalBytes: Number.isFinite(originalBytes) && originalBytes > 0 ? originalBytes : bytes,
     createdAt: sanitizeIsoDate(source.createdAt) || new Date().toISOString(),
     label: typeof source.label === "string" && source.label.trim() ? source.label.trim() : undefined,
+    isPrimary: source.isPrimary === true,
+    includeInExport: source.includeInExport !== false,
   };
 }
 
+function sanitizeFootOverrides(raw, footCount) {
+  const list = Array.isArray(raw) ? raw.slice(0, footCount) : [];
+  const overrides = list.map((entry) => {
+    const source = isObject(entry) ? entry : {};
+    /** @type {FootOverride} */
+    const override = {};
+    for (const key of FOOT_OVERRIDE_KEYS) {
+      const number = Number(source[key]);
+      if (source[key] !== null && source[key] !== "" && Number.isFinite(number) && number > 0) {
+        override[key] = round(number);
+      }
+    }
+    return override;
+  });
+
+  // Leere Eintraege am Ende tragen keine Information.
+  while (overrides.length > 0 && Object.keys(overrides[overrides.length - 1]).length === 0) {
+    overrides.pop();
+  }
+  return overrides;
+}
+
+function formatFootList(feet) {
+  return feet.map((foot) => foot.index + 1).join(", ");
+}
+
 function sanitizeExportSettings(raw) {
   const source = isObject(raw) ? raw : {};
   const templateId = typeof source.templateId === "string" && source.templateId.trim()
@@ -221,7 +404,11 @@ function sanitizeExportSettings(raw) {
     : "A4_PORTRAIT_STANDARD";
   const format = source.format === "svg" ? "svg" : "pdf";
   const dimTextFontSizePx = sanitizeFontSize(source.dimTextFontSizePx);
-  return { templateId, format, dimTextFontSizePx };
+  const sectionView = SECTION_VIEWS.includes(source.sectionView) ? source.sectionView : "longitudinal";
+  const includeAppendix = source.includeAppendix !== false;
+  const showReinforcement = source.showReinforcement === true;
+  const distanceDimensionMode = DISTANCE_MODES.includes(source.distanceDimensionMode) ? source.distanceDimensionMode : "inner";
+  return { templateId, format, dimTextFontSizePx, sectionView, includeAppendix, showReinforcement, distanceDimensionMode };
 }
 
 function sanitizeFontSize(value) {
@@ -248,6 +435,14 @@ function sanitizeNumber(value) {
   return round(number);
 }
 
+// Fehlende Werte (z. B. aus aelteren Datensaetzen) erhalten den Standard, explizite Werte werden bereinigt.
+function sanitizeNumberOr(value, fallback) {
+  if (value === undefined || value === null || value === "") {
+    return fallback;
+  }
+  return sanitizeNumber(value);
+}
+
 function round(number) {
   return Math.round(number * 100) / 100;
 }
@@ -0,0 +1,132 @@
+﻿/**
+ * @typedef {Object} SaunaFieldChange
+ * @property {string} path z. B. "config.barrelLength"
+ * @property {string} label Anzeigename fuer Oberflaeche und Dialoge
+ * @property {unknown} before
+ * @property {unknown} after
+ */
+
+const FIELD_LABELS = {
+  name: "Name",
+  tags: "Tags",
+  images: "Bilder",
+  "config.barrelLength": "Fasslaenge",
+  "config.barrelWidth": "Fassbreite",
+  "config.footWidth": "Fussbreite",
+  "config.footThickness": "Fussdicke",
+  "config.foundationWidth": "Fundamentbreite",
+  "config.foundationDepth": "Frosttiefe",
+  "config.frostDepthPreset": "Frosttiefen-Vorgabe",
+  "config.foundationType": "Fundamentart",
+  "config.pointFoundationSize": "Punktfundamentgroesse",
+  "config.pointFoundationInset": "Punktfundament-Versatz",
+  "config.footDistances": "Fussabstaende",
+  "config.footOverrides": "Abweichende Fuesse",
+  "config.distanceInputMode": "Abstandseingabe",
+  "config.frontOverhang": "Ueberstand vorne",
+  "config.rearOverhang": "Ueberstand hinten",
+  "config.emptyWeightKg": "Leergewicht",
+  "config.peopleLoadKg": "Personenlast",
+  "config.snowLoadKnM2": "Schneelast",
+  "config.soilType": "Baugrund",
+  "exportSettings.templateId": "Schablone",
+  "exportSettings.format": "Planformat",
+  "exportSettings.dimTextFontSizePx": "Schriftgroesse Bemassung",
+  "exportSettings.sectionView": "Schnitt im Plan",
+  "exportSettings.includeAppendix": "PDF-Anhang",
+  "exportSettings.showReinforcement": "Bewehrung im Schnitt",
+  "exportSettings.distanceDimensionMode": "Abstandsbemassung",
+};
+
+/**
+ * Vergleicht zwei Sauna-Staende feldweise. Metadaten (id, revision, Zeitstempel) werden ignoriert.
+ * Neue Felder in config/exportSettings werden automatisch beruecksichtigt.
+ * @param {import("./sauna.js").Sauna} before
+ * @param {import("./sauna.js").Sauna} after
+ * @returns {SaunaFieldChange[]}
+ */
+export function diffSaunas(before, after) {
+  const changes = [];
+
+  pushIfChanged(changes, "name", before.name, after.name);
+  pushIfChanged(changes, "tags", before.tags || [], after.tags || []);
+  pushIfChanged(changes, "images", summarizeImages(before.images), summarizeImages(after.images));
+
+  for (const group of ["config", "exportSettings"]) {
+    const beforeGroup = before[group] || {};
+    const afterGroup = after[group] || {};
+    const keys = new Set([...Object.keys(beforeGroup), ...Object.keys(afterGroup)]);
+    for (const key of keys) {
+      pushIfChanged(changes, `${group}.${key}`, beforeGroup[key], afterGroup[key]);
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Uebernimmt einzelne Felder aus einem zweiten Stand, z. B. beim Aufloesen eines Abgleichkonflikts.
+ * Pfade wie in diffSaunas; Metadaten bleiben die von base. Das Ergebnis teilt Werte mit den
+ * Eingaben und sollte mit sanitizeSauna kopiert werden.
+ * @param {import("./sauna.js").Sauna} base
+ * @param {import("./sauna.js").Sauna} other
+ * @param {string[]} paths Felder, die aus other kommen
+ * @returns {import("./sauna.js").Sauna}
+ */
+export function mergeSaunas(base, other, paths) {
+  const merged = { ...base, config: { ...base.config }, exportSettings: { ...base.exportSettings } };
+  for (const path of paths) {
+    const [group, key] = path.split(".", 2);
+    if (!key) {
+      merged[group] = other[group];
+    } else if (group === "config" || group === "exportSettings") {
+      merged[group][key] = other[group]?.[key];
+    }
+  }
+  return merged;
+}
+
+/**
+ * @param {string} path
+ * @returns {string}
+ */
+export function getFieldLabel(path) {
+  return FIELD_LABELS[path] || path;
+}
+
+/**
+ * Lesbare Darstellung eines Feldwerts fuer Tabellen und Listen.
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function formatFieldValue(value) {
+  if (value === undefined || value === null) {
+    return "-";
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => formatFieldValue(item)).join(" / ");
+  }
+  if (typeof value === "boolean") {
+    return value ? "ja" : "nein";
+  }
+  if (typeof value === "object") {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+function pushIfChanged(changes, path, before, after) {
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return;
+  }
+  changes.push({ path, label: getFieldLabel(path), before, after });
+}
+
+function summarizeImages(images) {
+  const list = Array.isArray(images) ? images : [];
+  return list.map((image) => [
+    image.label || image.id,
+    image.isPrimary ? " (Hauptbild)" : "",
+    image.includeInExport === false ? " (nicht im Export)" : "",
+  ].join(""));
+}
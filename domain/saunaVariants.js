@@ -0,0 +1,61 @@
+﻿import { distributeFeet } from "./footGeometry.js";
+import { duplicateSauna } from "./sauna.js";
+
+/**
+ * @typedef {Object} LengthVariantResult
+ * @property {import("./sauna.js").Sauna[]} variants
+ * @property {string[]} errors Je Laenge, die sich nicht erzeugen liess
+ */
+
+/**
+ * Erzeugt Kopien eines Modells mit anderen Fasslaengen. Fussanzahl und Ueberstaende bleiben erhalten,
+ * die Fuesse werden je Laenge neu verteilt (siehe distributeFeet). Die eigene Laenge wird uebersprungen.
+ * @param {import("./sauna.js").Sauna} sauna
+ * @param {number[]} barrelLengths
+ * @param {{ strategy?: "equal"|"symmetric", middleFactor?: number, gridCm?: number }=} options
+ * @returns {LengthVariantResult}
+ */
+export function createLengthVariants(sauna, barrelLengths, options = {}) {
+  const variants = [];
+  const errors = [];
+  const footCount = sauna.config.footDistances.length + 1;
+
+  for (const barrelLength of barrelLengths.filter((length) => length !== sauna.config.barrelLength)) {
+    const copy = duplicateSauna(sauna, { name: variantName(sauna.name, barrelLength) });
+    const config = { ...copy.config, barrelLength };
+    try {
+      const layout = distributeFeet(config, {
+        footCount,
+        frontOverhang: config.frontOverhang,
+        rearOverhang: config.rearOverhang,
+        strategy: options.strategy === "symmetric" ? "symmetric" : "equal",
+        middleFactor: options.middleFactor,
+        gridCm: options.gridCm,
+      });
+      variants.push({ ...copy, config: { ...config, ...layout } });
+    } catch (error) {
+      errors.push(`${barrelLength} cm: ${error.message}`);
+    }
+  }
+
+  return { variants, errors };
+}
+
+/**
+ * Liest eine Laengenliste wie "180/200/220" oder "180, 200; 220".
+ * @param {string} text
+ * @returns {number[]} positive Laengen ohne Dubletten, in Eingabereihenfolge
+ */
+export function parseLengthList(text) {
+  const lengths = String(text || "")
+    .split(/[\s,;/]+/)
+    .map((part) => Number(part))
+    .filter((value) => Number.isFinite(value) && value > 0);
+  return [...new Set(lengths)];
+}
+
+// Eine vorhandene Laengenangabe im Namen (z. B. "Standard 220") wird ersetzt, sonst angehaengt.
+function variantName(name, barrelLength) {
+  const base = name.replace(/\s*\(Kopie\)$/, "");
+  return /\b\d{3}\b/.test(base) ? base.replace(/\b\d{3}\b/, String(barrelLength)) : `${base} ${barrelLength}`;
+}
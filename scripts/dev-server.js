@@ -3,7 +3,14 @@ const fs = require('fs');
 const path = require('path');
 
 const root = process.cwd();
-const preferredPort = 8000;
+const preferredPort = Number(process.env.PORT) || 8000;
+// Team-Katalog fuer /api/saunas; wird beim ersten Start aus den Standardmodellen angelegt.
+// Fuer Tests des Offline-Abgleichs als Stand-in mit eigenem Katalog starten und zwischendurch beenden:
+//   SAUNA_CATALOG_FILE=/tmp/stand-in.json PORT=8100 node scripts/dev-server.js
+// Die Abgleichsfaelle selbst prueft scripts/sync-check.mjs gegen einen solchen Stand-in.
+const catalogFile = path.resolve(process.env.SAUNA_CATALOG_FILE || path.join(root, 'data', 'team-catalog.json'));
+const seedFile = path.join(root, 'data', 'saunas.json');
+const maxBodyBytes = 64 * 1024 * 1024;
 
 const mimeTypes = {
   '.html': 'text/html; charset=utf-8',
@@ -17,9 +24,24 @@ const mimeTypes = {
   '.webp': 'image/webp',
 };
 
+const catalog = loadCatalog();
+let writeQueue = Promise.resolve();
+
 const server = http.createServer((req, res) => {
   const rawPath = (req.url || '/').split('?')[0];
-  const relPath = rawPath === '/' ? 'index.html' : decodeURIComponent(rawPath.replace(/^\//, ''));
+  if (rawPath === '/api' || rawPath.startsWith('/api/')) {
+    handleApi(req, res, rawPath).catch((err) => {
+      sendJson(res, err.statusCode || 500, { error: err.message || 'Interner Fehler' });
+    });
+    return;
+  }
+
+  const relPath = rawPath === '/' ? 'index.html' : decodePathSegment(rawPath.replace(/^\//, ''));
+  if (relPath === null) {
+    res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Bad Request');
+    return;
+  }
   const safeRelPath = relPath.replace(/^\.+[\\/]/, '');
   const filePath = path.resolve(root, safeRelPath);
 
@@ -42,6 +64,219 @@ const server = http.createServer((req, res) => {
   });
 });
 
+/**
+ * GET    /api/health
+ * GET    /api/saunas          Liste ohne Bilder, mit imageCount
+ * PUT    /api/saunas          gesamten Katalog ersetzen ({ saunas: [...] })
+ * GET    /api/saunas/:id
+ * PUT    /api/saunas/:id      409, wenn revision nicht neuer als der gespeicherte Stand ist
+ * DELETE /api/saunas/:id
+ */
+async function handleApi(req, res, rawPath) {
+  const method = req.method || 'GET';
+
+  if (rawPath === '/api/health') {
+    sendJson(res, 200, { ok: true, saunas: catalog.saunas.length });
+    return;
+  }
+
+  if (rawPath === '/api/saunas') {
+    if (method === 'GET') {
+      sendJson(res, 200, { saunas: catalog.saunas.map(toListRecord) });
+      return;
+    }
+    if (method === 'PUT') {
+      const body = await readJsonBody(req);
+      if (!body || !Array.isArray(body.saunas) || !body.saunas.every(isSaunaRecord)) {
+        sendJson(res, 400, { error: 'Erwartet wird { saunas: [...] } mit id und revision je Modell.' });
+        return;
+      }
+      await saveCatalog(() => {
+        catalog.saunas = body.saunas;
+      });
+      sendJson(res, 200, { saunas: catalog.saunas.length });
+      return;
+    }
+    sendMethodNotAllowed(res, 'GET, PUT');
+    return;
+  }
+
+  const match = /^\/api\/saunas\/([^/]+)$/.exec(rawPath);
+  if (!match) {
+    sendJson(res, 404, { error: 'Unbekannter API-Pfad.' });
+    return;
+  }
+
+  const id = decodePathSegment(match[1]);
+  if (id === null) {
+    sendJson(res, 400, { error: 'Ungueltig kodierte Modell-id im Pfad.' });
+    return;
+  }
+  const index = catalog.saunas.findIndex((sauna) => sauna.id === id);
+
+  if (method === 'GET') {
+    if (index < 0) {
+      sendJson(res, 404, { error: 'Modell nicht gefunden.' });
+      return;
+    }
+    sendJson(res, 200, { sauna: catalog.saunas[index] });
+    return;
+  }
+
+  if (method === 'PUT') {
+    const sauna = await readJsonBody(req);
+    if (!isSaunaRecord(sauna) || sauna.id !== id) {
+      sendJson(res, 400, { error: 'Modell ohne gueltige id/revision oder id passt nicht zum Pfad.' });
+      return;
+    }
+    // Erneut suchen: zwischen Lesen des Bodys und jetzt kann ein anderer Schreibvorgang gelaufen sein.
+    let conflict = null;
+    await saveCatalog(() => {
+      const currentIndex = catalog.saunas.findIndex((item) => item.id === id);
+      const current = currentIndex >= 0 ? catalog.saunas[currentIndex] : null;
+      if (current && sauna.revision <= current.revision) {
+        conflict = current;
+        return false;
+      }
+      if (current) {
+        catalog.saunas[currentIndex] = sauna;
+      } else {
+        catalog.saunas.push(sauna);
+      }
+      return true;
+    });
+    if (conflict) {
+      sendJson(res, 409, {
+        error: `Veraltete Revision r${sauna.revision}: auf dem Server liegt bereits r${conflict.revision}.`,
+        current: conflict,
+      });
+      return;
+    }
+    sendJson(res, 200, { revision: sauna.revision });
+    return;
+  }
+
+  if (method === 'DELETE') {
+    let removed = false;
+    await saveCatalog(() => {
+      const before = catalog.saunas.length;
+      catalog.saunas = catalog.saunas.filter((sauna) => sauna.id !== id);
+      removed = catalog.saunas.length < before;
+      return removed;
+    });
+    if (!removed) {
+      sendJson(res, 404, { error: 'Modell nicht gefunden.' });
+      return;
+    }
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  sendMethodNotAllowed(res, 'GET, PUT, DELETE');
+}
+
+// null bei fehlerhafter Prozentkodierung (z. B. "%E0%A4%A"), statt mit URIError abzubrechen.
+function decodePathSegment(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    return null;
+  }
+}
+
+function isSaunaRecord(value) {
+  return Boolean(value)
+    && typeof value === 'object'
+    && typeof value.id === 'string'
+    && value.id.trim() !== ''
+    && Number.isInteger(value.revision)
+    && value.revision > 0;
+}
+
+function loadCatalog() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(catalogFile, 'utf8'));
+    return { saunas: Array.isArray(parsed.saunas) ? parsed.saunas : [] };
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error(`Team-Katalog ${catalogFile} ist nicht lesbar:`, err.message);
+      process.exit(1);
+    }
+  }
+
+  let saunas = [];
+  try {
+    const seed = JSON.parse(fs.readFileSync(seedFile, 'utf8').replace(/^\uFEFF/, ''));
+    // Standardmodelle tragen keine revision; der Client behandelt sie als r1.
+    saunas = (Array.isArray(seed.saunas) ? seed.saunas : [])
+      .map((sauna) => ({ revision: 1, ...sauna }))
+      .filter(isSaunaRecord);
+  } catch (err) {
+    console.log('Standardmodelle nicht gefunden, Team-Katalog startet leer.');
+  }
+  fs.writeFileSync(catalogFile, JSON.stringify({ saunas }, null, 2));
+  console.log(`Team-Katalog angelegt: ${catalogFile} (${saunas.length} Modelle)`);
+  return { saunas };
+}
+
+// Schreibvorgaenge nacheinander; die Datei wird ueber eine Temp-Datei ersetzt, damit sie nie halb geschrieben ist.
+function saveCatalog(mutate) {
+  const run = writeQueue.then(async () => {
+    const snapshot = catalog.saunas.slice();
+    if (mutate() === false) return;
+    const tempFile = `${catalogFile}.tmp`;
+    try {
+      await fs.promises.writeFile(tempFile, JSON.stringify({ saunas: catalog.saunas }, null, 2));
+      await fs.promises.rename(tempFile, catalogFile);
+    } catch (err) {
+      catalog.saunas = snapshot;
+      throw err;
+    }
+  });
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBodyBytes) {
+        reject(Object.assign(new Error('Anfrage ist zu gross.'), { statusCode: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (err) {
+        reject(Object.assign(new Error('Anfrage enthaelt kein gueltiges JSON.'), { statusCode: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+// Listeneintrag ohne Bilddaten; imageCount genuegt fuer die Markierung in der Modellliste.
+function toListRecord(sauna) {
+  return { ...sauna, images: [], imageCount: Array.isArray(sauna.images) ? sauna.images.length : 0 };
+}
+
+function sendMethodNotAllowed(res, allow) {
+  res.writeHead(405, { 'Content-Type': 'application/json; charset=utf-8', Allow: allow });
+  res.end(JSON.stringify({ error: 'Methode nicht erlaubt.' }));
+}
+
 let currentPort = preferredPort;
 
 server.on('error', (err) => {
@@ -0,0 +1,197 @@
+﻿// Prueft den Offline-Abgleich (services/syncService.js) gegen den Stand-in-Server:
+// Hochladen, Herunterladen, 409 bei gleichzeitigem Schreiben, Konflikt mit Aufloesung.
+//   node scripts/sync-check.mjs            (aus dem Projektverzeichnis, Node 20.19 oder neuer)
+// Der Server laeuft mit einem leeren Katalog in einem Temp-Verzeichnis. Node hat kein IndexedDB;
+// die lokale Ablage (services/saunaStore.js) wird daher fuer syncService durch eine Ablage im
+// Speicher mit derselben Semantik von Warteschlange und Abgleichstand ersetzt.
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import { register } from 'node:module';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const preferredPort = Number(process.env.PORT) || 8190;
+
+const storeExports = ['getAll', 'getById', 'getOutbox', 'getSyncBases', 'commitSyncResult'];
+const storeModule = `data:text/javascript,${encodeURIComponent(
+  storeExports.map((name) => `export const ${name} = (...args) => globalThis.syncCheckStore.${name}(...args);`).join('\n')
+)}`;
+register(`data:text/javascript,${encodeURIComponent(`
+  export async function resolve(specifier, context, nextResolve) {
+    if (specifier === './saunaStore.js' && context.parentURL && context.parentURL.endsWith('/services/syncService.js')) {
+      return { url: ${JSON.stringify(storeModule)}, shortCircuit: true };
+    }
+    return nextResolve(specifier, context);
+  }
+`)}`);
+
+const { createEmptySauna, nextRevision, sanitizeSauna } = await import('../domain/sauna.js');
+const { REVISION_CONFLICT, createRestBackend } = await import('../services/restBackend.js');
+const { resolveConflict, synchronize } = await import('../services/syncService.js');
+
+const local = createMemoryStore();
+globalThis.syncCheckStore = local;
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sauna-sync-check-'));
+const catalogFile = path.join(tempDir, 'catalog.json');
+fs.writeFileSync(catalogFile, JSON.stringify({ saunas: [] }));
+
+const server = await startServer();
+const apiUrl = `http://localhost:${server.port}/api`;
+const remote = createRestBackend(apiUrl);
+let failed = 0;
+
+try {
+  const sauna = { ...createEmptySauna(), name: 'Abgleich A' };
+
+  await check('lokale Aenderung wird hochgeladen', async () => {
+    local.edit(sauna);
+    const result = await synchronize(remote);
+    assert.equal(result.pushed, 1);
+    assert.equal((await remote.get(sauna.id)).name, 'Abgleich A');
+    assert.equal(local.outbox.size, 0);
+  });
+
+  await check('Aenderung auf dem Server wird heruntergeladen', async () => {
+    const onServer = await remote.get(sauna.id);
+    await remote.put({ ...nextRevision(onServer), name: 'Abgleich A (Server)' });
+    const result = await synchronize(remote);
+    assert.equal(result.pulled, 1);
+    assert.equal(local.saunas.get(sauna.id).name, 'Abgleich A (Server)');
+    assert.equal(local.saunas.get(sauna.id).revision, 2);
+  });
+
+  await check('409 beim Hochladen laesst die Aenderung in der Warteschlange', async () => {
+    local.edit({ ...nextRevision(local.saunas.get(sauna.id)), name: 'Abgleich A (lokal)' });
+    // Ein anderer Client schreibt zwischen Liste und Hochladen.
+    const racingRemote = {
+      ...remote,
+      async put(record) {
+        await remote.put({ ...record, revision: 5, name: 'Abgleich A (Kollege)' });
+        return remote.put(record);
+      },
+    };
+    const result = await synchronize(racingRemote);
+    assert.equal(result.pushed, 0);
+    assert.match(result.warnings.join(' '), /waehrend des Abgleichs/);
+    assert.equal(local.outbox.size, 1);
+    assert.equal((await remote.get(sauna.id)).revision, 5);
+  });
+
+  await check('beidseitige Aenderung ergibt einen Konflikt, die Aufloesung landet auf dem Server', async () => {
+    const result = await synchronize(remote);
+    assert.equal(result.conflicts.length, 1);
+    const [conflict] = result.conflicts;
+    assert.ok(conflict.changes.some((change) => change.path === 'name'));
+
+    const merged = await resolveConflict(remote, conflict, []);
+    assert.equal(merged.revision, 6);
+    assert.equal((await remote.get(sauna.id)).name, 'Abgleich A (lokal)');
+    assert.equal(local.outbox.size, 0);
+
+    const again = await synchronize(remote);
+    assert.deepEqual([again.pushed, again.pulled, again.conflicts.length], [0, 0, 0]);
+  });
+
+  await check('veraltete Revision scheitert mit REVISION_CONFLICT', async () => {
+    const stale = { ...local.saunas.get(sauna.id), revision: 3 };
+    await assert.rejects(remote.put(stale), (error) => error.code === REVISION_CONFLICT && error.current.revision === 6);
+  });
+
+  await check('fehlerhaft kodierte id ergibt 400', async () => {
+    const response = await fetch(`${apiUrl}/saunas/%E0%A4%A`);
+    assert.equal(response.status, 400);
+  });
+} finally {
+  server.child.kill();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+}
+
+console.log(failed === 0 ? 'Alle Pruefungen bestanden.' : `${failed} Pruefung(en) fehlgeschlagen.`);
+process.exitCode = failed === 0 ? 0 : 1;
+
+async function check(name, run) {
+  try {
+    await run();
+    console.log(`ok   ${name}`);
+  } catch (err) {
+    failed += 1;
+    console.log(`FEHL ${name}`);
+    console.log(`     ${err.message.split('\n').join('\n     ')}`);
+  }
+}
+
+// Lokale Ablage im Speicher; commitSyncResult wie in saunaStore.js nur bei passendem queuedAt.
+function createMemoryStore() {
+  const saunas = new Map();
+  const outbox = new Map();
+  const bases = new Map();
+  let sequence = 0;
+
+  return {
+    saunas,
+    outbox,
+    edit(sauna) {
+      saunas.set(sauna.id, sanitizeSauna(sauna));
+      sequence += 1;
+      outbox.set(sauna.id, { saunaId: sauna.id, op: 'put', queuedAt: `${new Date().toISOString()}#${sequence}` });
+    },
+    async getAll() {
+      return [...saunas.values()];
+    },
+    async getById(id) {
+      return saunas.get(id) || null;
+    },
+    async getOutbox() {
+      return [...outbox.values()];
+    },
+    async getSyncBases() {
+      return [...bases.values()];
+    },
+    async commitSyncResult(saunaId, commit) {
+      if ((outbox.get(saunaId)?.queuedAt || undefined) !== commit.queuedAt) return false;
+      outbox.delete(saunaId);
+      if (commit.base) {
+        bases.set(saunaId, { saunaId, revision: commit.base.revision, updatedAt: commit.base.updatedAt });
+      } else {
+        bases.delete(saunaId);
+      }
+      if (commit.sauna) {
+        saunas.set(saunaId, sanitizeSauna(commit.sauna));
+      } else if (commit.sauna === null) {
+        saunas.delete(saunaId);
+      }
+      return true;
+    },
+  };
+}
+
+function startServer() {
+  const child = spawn(process.execPath, [path.join(root, 'scripts', 'dev-server.js')], {
+    cwd: root,
+    env: { ...process.env, SAUNA_CATALOG_FILE: catalogFile, PORT: String(preferredPort) },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error('Stand-in-Server ist nicht gestartet.'));
+    }, 10000);
+    let output = '';
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      const match = /http:\/\/localhost:(\d+)/.exec(output);
+      if (match) {
+        clearTimeout(timer);
+        resolve({ child, port: Number(match[1]) });
+      }
+    });
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Stand-in-Server beendet (Code ${code}).`));
+    });
+  });
+}
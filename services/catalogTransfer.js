@@ -0,0 +1,126 @@
+﻿import { sanitizeSauna } from "../domain/sauna.js";
+
+export const CATALOG_FORMAT = "sauna-planer-catalog";
+export const CATALOG_VERSION = 1;
+
+/**
+ * @typedef {Object} CatalogFile
+ * @property {string} format
+ * @property {number} version
+ * @property {string} exportedAt
+ * @property {import("../domain/sauna.js").Sauna[]} saunas
+ */
+
+/**
+ * @typedef {"merge"|"replace"} CatalogImportMode
+ */
+
+/**
+ * @param {import("../domain/sauna.js").Sauna[]} saunas
+ * @returns {CatalogFile}
+ */
+export function createCatalogFile(saunas) {
+  return {
+    format: CATALOG_FORMAT,
+    version: CATALOG_VERSION,
+    exportedAt: new Date().toISOString(),
+    saunas: saunas.map((sauna) => sanitizeSauna(sauna)),
+  };
+}
+
+/**
+ * Liest eine Katalogdatei. Ein reines Array von Sauna-Objekten wird als Version 0 akzeptiert.
+ * @param {string} text
+ * @returns {{ saunas: import("../domain/sauna.js").Sauna[], version: number }}
+ */
+export function parseCatalog(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Katalogdatei ist kein gueltiges JSON (${error.message}).`);
+  }
+
+  if (Array.isArray(parsed)) {
+    return { saunas: parsed.map((item) => sanitizeSauna(item)), version: 0 };
+  }
+
+  if (!parsed || typeof parsed !== "object" || parsed.format !== CATALOG_FORMAT) {
+    throw new Error("Datei ist kein Sauna-Katalog.");
+  }
+
+  const version = Number(parsed.version);
+  if (!Number.isInteger(version) || version < 1 || version > CATALOG_VERSION) {
+    throw new Error(`Katalogversion ${parsed.version} wird nicht unterstuetzt.`);
+  }
+  if (!Array.isArray(parsed.saunas)) {
+    throw new Error("Katalogdatei enthaelt keine Sauna-Liste.");
+  }
+
+  return { saunas: parsed.saunas.map((item) => sanitizeSauna(item)), version };
+}
+
+/**
+ * Fuehrt vorhandene und importierte Modelle zusammen.
+ * - "merge": Abgleich ueber die id, bei gleicher id gewinnt die hoehere revision.
+ * - "replace": nur die importierten Modelle bleiben erhalten.
+ * Doppelte ids innerhalb der Importdatei werden ebenfalls ueber die revision aufgeloest.
+ * @param {import("../domain/sauna.js").Sauna[]} existing
+ * @param {import("../domain/sauna.js").Sauna[]} incoming
+ * @param {CatalogImportMode} mode
+ * @returns {{ saunas: import("../domain/sauna.js").Sauna[], added: number, updated: number, skipped: number }}
+ */
+export function mergeCatalog(existing, incoming, mode) {
+  const incomingById = new Map();
+  let skipped = 0;
+  for (const sauna of incoming) {
+    const current = incomingById.get(sauna.id);
+    if (current && current.revision >= sauna.revision) {
+      skipped += 1;
+      continue;
+    }
+    if (current) {
+      skipped += 1;
+    }
+    incomingById.set(sauna.id, sauna);
+  }
+
+  if (mode === "replace") {
+    return { saunas: [...incomingById.values()], added: incomingById.size, updated: 0, skipped };
+  }
+
+  const result = new Map(existing.map((sauna) => [sauna.id, sauna]));
+  let added = 0;
+  let updated = 0;
+  for (const sauna of incomingById.values()) {
+    const current = result.get(sauna.id);
+    if (!current) {
+      result.set(sauna.id, sauna);
+      added += 1;
+    } else if (sauna.revision > current.revision) {
+      result.set(sauna.id, sauna);
+      updated += 1;
+    } else {
+      skipped += 1;
+    }
+  }
+
+  return { saunas: [...result.values()], added, updated, skipped };
+}
+
+/**
+ * @param {import("../domain/sauna.js").Sauna[]} saunas
+ * @param {string=} fileName
+ */
+export function downloadCatalog(saunas, fileName) {
+  const source = JSON.stringify(createCatalogFile(saunas), null, 2);
+  const blob = new Blob([source], { type: "application/json;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName || `sauna-katalog_${new Date().toISOString().slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
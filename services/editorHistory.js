@@ -0,0 +1,87 @@
+﻿const DEFAULT_LIMIT = 100;
+
+/**
+ * @template T
+ * @typedef {Object} EditorHistory
+ * @property {(state: T) => void} reset Startzustand setzen (gilt als gespeichert)
+ * @property {(state: T) => boolean} record Neuen Zustand anhaengen; false, wenn unveraendert
+ * @property {() => T | null} undo
+ * @property {() => T | null} redo
+ * @property {() => boolean} canUndo
+ * @property {() => boolean} canRedo
+ * @property {() => boolean} isDirty Weicht der aktuelle Zustand vom gespeicherten ab?
+ */
+
+/**
+ * Undo/Redo-Stapel fuer Editorzustaende.
+ * Zustaende werden ueber einen Vergleichsschluessel dedupliziert, damit identische
+ * Eingaben keinen eigenen Schritt erzeugen.
+ * @template T
+ * @param {{ limit?: number, toKey?: (state: T) => string }=} options
+ * @returns {EditorHistory<T>}
+ */
+export function createEditorHistory(options = {}) {
+  const limit = Math.max(2, Number(options.limit) || DEFAULT_LIMIT);
+  const toKey = typeof options.toKey === "function" ? options.toKey : (state) => JSON.stringify(state);
+
+  /** @type {{ state: T, key: string }[]} */
+  let entries = [];
+  let index = -1;
+  let savedIndex = -1;
+
+  return {
+    reset(state) {
+      entries = [{ state, key: toKey(state) }];
+      index = 0;
+      savedIndex = 0;
+    },
+
+    record(state) {
+      const key = toKey(state);
+      if (index >= 0 && entries[index].key === key) {
+        return false;
+      }
+
+      if (savedIndex > index) {
+        // Der gespeicherte Stand lag im verworfenen Redo-Zweig.
+        savedIndex = -1;
+      }
+      entries = entries.slice(0, index + 1);
+      entries.push({ state, key });
+      index = entries.length - 1;
+
+      if (entries.length > limit) {
+        const overflow = entries.length - limit;
+        entries = entries.slice(overflow);
+        index -= overflow;
+        // Gespeicherter Stand ist aus dem Verlauf gefallen und nicht mehr erreichbar.
+        savedIndex = savedIndex - overflow;
+      }
+      return true;
+    },
+
+    undo() {
+      if (index <= 0) return null;
+      index -= 1;
+      return entries[index].state;
+    },
+
+    redo() {
+      if (index >= entries.length - 1) return null;
+      index += 1;
+      return entries[index].state;
+    },
+
+    canUndo() {
+      return index > 0;
+    },
+
+    canRedo() {
+      return index >= 0 && index < entries.length - 1;
+    },
+
+    isDirty() {
+      return index !== savedIndex;
+    },
+  };
+}
@@ -0,0 +1,74 @@
+﻿import { computeFirstFootOffset, computeFootCenters, resolveFootSpecs } from "../domain/footGeometry.js";
+
+/**
+ * Eingabeformen fuer Fussabstaende. Gespeichert werden immer Innenabstaende (footDistances).
+ * - "inner": Innenkante zu Innenkante zwischen benachbarten Fuessen
+ * - "center": Achsabstand (Mitte zu Mitte) zwischen benachbarten Fuessen
+ * - "barrelEnd": Fussmitte ab unterer Fasskante, je Fuss ab Fuss 2
+ * @typedef {"inner"|"center"|"barrelEnd"} DistanceInputMode
+ */
+
+/**
+ * Rechnet die gespeicherten Innenabstaende in die Werte der gewaehlten Eingabeform um.
+ * @param {import("../domain/sauna.js").SaunaConfig} saunaConfig
+ * @param {DistanceInputMode} mode
+ * @returns {number[]} ein Wert je Eintrag in footDistances
+ */
+export function toDistanceInputs(saunaConfig, mode) {
+  const distances = Array.isArray(saunaConfig.footDistances) ? saunaConfig.footDistances : [];
+  if (mode !== "center" && mode !== "barrelEnd") {
+    return distances.map((value) => round(Math.max(0, Number(value) || 0)));
+  }
+
+  const centers = computeFootCenters(saunaConfig);
+  if (mode === "center") {
+    return distances.map((_, i) => round(centers[i + 1] - centers[i]));
+  }
+
+  const firstOffset = computeFirstFootOffset(saunaConfig);
+  return distances.map((_, i) => round(firstOffset + centers[i + 1] - centers[0]));
+}
+
+/**
+ * Rechnet Eingabewerte in Innenabstaende um. Zu kleine Werte (Fuesse wuerden sich
+ * ueberschneiden) ergeben einen Innenabstand von 0.
+ * @param {import("../domain/sauna.js").SaunaConfig} saunaConfig Fussmasse und Fundamente fuer die Umrechnung
+ * @param {DistanceInputMode} mode
+ * @param {number[]} values
+ * @returns {number[]}
+ */
+export function fromDistanceInputs(saunaConfig, mode, values) {
+  const numbers = values.map((value) => Number(value) || 0);
+  if (mode !== "center" && mode !== "barrelEnd") {
+    return numbers.map((value) => round(Math.max(0, value)));
+  }
+
+  // Fussdicken fuer die gewuenschte Anzahl Fuesse (Overrides gelten je Fussindex).
+  const thicknesses = resolveFootSpecs({ ...saunaConfig, footDistances: numbers }).map((spec) => spec.footThickness);
+
+  /** @type {number[]} */
+  let centerSpacings;
+  if (mode === "center") {
+    centerSpacings = numbers;
+  } else {
+    const firstOffset = computeFirstFootOffset(saunaConfig);
+    const positions = [firstOffset, ...numbers];
+    centerSpacings = numbers.map((_, i) => positions[i + 1] - positions[i]);
+  }
+
+  return centerSpacings.map((spacing, i) => round(Math.max(0, spacing - thicknesses[i] / 2 - thicknesses[i + 1] / 2)));
+}
+
+/**
+ * Beschriftung einer Eingabezeile, z. B. "Fuss 1-2" oder "Fuss 3".
+ * @param {DistanceInputMode} mode
+ * @param {number} index Index in footDistances
+ * @returns {string}
+ */
+export function describeDistanceInput(mode, index) {
+  return mode === "barrelEnd" ? `Fuss ${index + 2}` : `Fuss ${index + 1}-${index + 2}`;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
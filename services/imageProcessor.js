@@ -0,0 +1,158 @@
+﻿/**
+ * Einstellungen fuer Verkleinerung und Neukodierung beim Bildimport.
+ * @typedef {Object} ImageProcessingSettings
+ * @property {number} maxEdgePx Laengste Kante nach dem Verkleinern
+ * @property {number} quality JPEG-/WebP-Qualitaet zwischen 0 und 1
+ */
+
+/**
+ * @typedef {Object} ProcessedImage
+ * @property {string} dataUrl
+ * @property {string} mimeType
+ * @property {number} bytes Groesse des gespeicherten Bilds
+ * @property {number} originalBytes Groesse der importierten Datei
+ * @property {number} width
+ * @property {number} height
+ * @property {boolean} resized
+ */
+
+/** @type {ImageProcessingSettings} */
+export const DEFAULT_IMAGE_PROCESSING = { maxEdgePx: 2048, quality: 0.85 };
+
+const MIN_EDGE_PX = 320;
+const MAX_EDGE_PX = 8192;
+const MIN_QUALITY = 0.4;
+const MAX_QUALITY = 1;
+
+/**
+ * @param {unknown} raw
+ * @returns {ImageProcessingSettings}
+ */
+export function sanitizeImageProcessingSettings(raw) {
+  const source = typeof raw === "object" && raw !== null ? raw : {};
+  const maxEdgePx = Number(source.maxEdgePx);
+  const quality = Number(source.quality);
+  return {
+    maxEdgePx: Number.isFinite(maxEdgePx)
+      ? Math.round(clamp(maxEdgePx, MIN_EDGE_PX, MAX_EDGE_PX))
+      : DEFAULT_IMAGE_PROCESSING.maxEdgePx,
+    quality: Number.isFinite(quality) ? clamp(quality, MIN_QUALITY, MAX_QUALITY) : DEFAULT_IMAGE_PROCESSING.quality,
+  };
+}
+
+/**
+ * Dekodiert ein Bild unter Beachtung der EXIF-Ausrichtung, verkleinert es auf maxEdgePx und kodiert es neu.
+ * JPEG und WebP behalten ihr Format. PNG bleibt verlustfrei, solange es unter maxBytes bleibt,
+ * sonst wird es als JPEG auf weissem Grund gespeichert.
+ * Ob das Ergebnis gross genug zum Ablehnen ist, entscheidet der Aufrufer anhand von bytes.
+ * @param {Blob} file
+ * @param {ImageProcessingSettings & { maxBytes?: number }} options
+ * @returns {Promise<ProcessedImage>}
+ */
+export async function processImageFile(file, options) {
+  const settings = sanitizeImageProcessingSettings(options);
+  const maxBytes = Number(options.maxBytes) || Number.POSITIVE_INFINITY;
+  const source = await decodeImage(file);
+
+  try {
+    const scale = Math.min(1, settings.maxEdgePx / Math.max(source.width, source.height));
+    const width = Math.max(1, Math.round(source.width * scale));
+    const height = Math.max(1, Math.round(source.height * scale));
+
+    let blob = await renderToBlob(source.image, width, height, file.type, settings.quality);
+    if (file.type === "image/png" && blob.size > maxBytes) {
+      blob = await renderToBlob(source.image, width, height, "image/jpeg", settings.quality);
+    }
+    // Ein unverkleinertes PNG kann neu kodiert groesser werden als das Original; dann das Original behalten.
+    if (scale === 1 && file.type === "image/png" && blob.type === "image/png" && blob.size >= file.size) {
+      blob = file;
+    }
+
+    return {
+      dataUrl: await readBlobAsDataUrl(blob),
+      mimeType: blob.type,
+      bytes: blob.size,
+      originalBytes: file.size,
+      width,
+      height,
+      resized: scale < 1,
+    };
+  } finally {
+    source.release();
+  }
+}
+
+/**
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  const value = Math.max(0, Number(bytes) || 0);
+  if (value >= 1024 * 1024) {
+    return `${(value / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  return `${Math.max(1, Math.round(value / 1024))} KB`;
+}
+
+// createImageBitmap wendet die EXIF-Ausrichtung mit "from-image" an; <img> tut das in aktuellen Browsern standardmaessig.
+async function decodeImage(file) {
+  if (typeof createImageBitmap === "function") {
+    try {
+      const bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
+      return { image: bitmap, width: bitmap.width, height: bitmap.height, release: () => bitmap.close() };
+    } catch {
+      // Aeltere Browser kennen die Optionen nicht; weiter mit <img>.
+    }
+  }
+
+  const url = URL.createObjectURL(file);
+  try {
+    const image = await new Promise((resolve, reject) => {
+      const element = new Image();
+      element.onload = () => resolve(element);
+      element.onerror = () => reject(new Error("Bild konnte nicht dekodiert werden."));
+      element.src = url;
+    });
+    return { image, width: image.naturalWidth, height: image.naturalHeight, release: () => URL.revokeObjectURL(url) };
+  } catch (error) {
+    URL.revokeObjectURL(url);
+    throw error;
+  }
+}
+
+function renderToBlob(image, width, height, mimeType, quality) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext("2d");
+  if (!context) {
+    throw new Error("Canvas wird von diesem Browser nicht unterstuetzt.");
+  }
+  if (mimeType === "image/jpeg") {
+    context.fillStyle = "#ffffff";
+    context.fillRect(0, 0, width, height);
+  }
+  context.imageSmoothingQuality = "high";
+  context.drawImage(image, 0, 0, width, height);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error("Bild konnte nicht neu kodiert werden."))),
+      mimeType,
+      quality
+    );
+  });
+}
+
+function readBlobAsDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onerror = () => reject(new Error("FileReader-Fehler"));
+    reader.onload = () => resolve(String(reader.result || ""));
+    reader.readAsDataURL(blob);
+  });
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
@@ -0,0 +1,148 @@
+﻿import { resolveFootSpecs } from "../domain/footGeometry.js";
+import { formatCm } from "./svgPrimitives.js";
+
+const CM3_PER_M3 = 1000000;
+const DEFAULT_WASTE_FACTOR = 0.1;
+// Transportbeton wird in 0,5-m3-Schritten bestellt, ein Fahrmischer fasst ca. 8 m3.
+const DEFAULT_ORDER_INCREMENT_M3 = 0.5;
+const DEFAULT_TRUCK_CAPACITY_M3 = 8;
+
+/**
+ * Ein Fundamentkoerper: Streifen unter einem Fuss oder eines der beiden Punktfundamente.
+ * @typedef {Object} ConcreteStrip
+ * @property {number} index
+ * @property {string} label
+ * @property {number} lengthCm Ausdehnung quer zum Fass (footWidth bzw. pointFoundationSize)
+ * @property {number} widthCm Ausdehnung laengs zum Fass (foundationWidth bzw. pointFoundationSize)
+ * @property {number} depthCm
+ * @property {number} volumeM3
+ */
+
+/**
+ * @typedef {Object} ConcreteTakeoff
+ * @property {"strip"|"point"} foundationType
+ * @property {ConcreteStrip[]} strips
+ * @property {number} netVolumeM3
+ * @property {number} wasteFactor
+ * @property {number} grossVolumeM3
+ * @property {number} orderIncrementM3
+ * @property {number} orderVolumeM3
+ * @property {number} truckCapacityM3
+ * @property {number} truckLoads
+ */
+
+/**
+ * Betonmenge je Fundamentkoerper und gesamt inkl. Verschnitt und Bestellmenge.
+ * @param {import("../domain/sauna.js").SaunaConfig} saunaConfig
+ * @param {{ wasteFactor?: number, orderIncrementM3?: number, truckCapacityM3?: number }=} options
+ * @returns {ConcreteTakeoff}
+ */
+export function computeConcreteTakeoff(saunaConfig, options = {}) {
+  const footSpecs = resolveFootSpecs(saunaConfig);
+  const wasteFactor = positiveOr(options.wasteFactor, DEFAULT_WASTE_FACTOR, true);
+  const orderIncrementM3 = positiveOr(options.orderIncrementM3, DEFAULT_ORDER_INCREMENT_M3);
+  const truckCapacityM3 = positiveOr(options.truckCapacityM3, DEFAULT_TRUCK_CAPACITY_M3);
+
+  const foundationType = footSpecs[0].foundation.type;
+  const depthCm = Math.max(0, Number(saunaConfig.foundationDepth) || 0);
+  const sideLabels = foundationType === "point" ? ["links", "rechts"] : [""];
+
+  /** @type {ConcreteStrip[]} */
+  const strips = [];
+  for (const spec of footSpecs) {
+    const lengthCm = spec.foundation.sizeX;
+    const widthCm = spec.foundation.sizeY;
+    for (const side of sideLabels) {
+      strips.push({
+        index: strips.length,
+        label: side ? `#${spec.index + 1} ${side}` : `#${spec.index + 1}`,
+        lengthCm,
+        widthCm,
+        depthCm,
+        volumeM3: (lengthCm * widthCm * depthCm) / CM3_PER_M3,
+      });
+    }
+  }
+
+  const netVolumeM3 = strips.reduce((sum, strip) => sum + strip.volumeM3, 0);
+  const grossVolumeM3 = netVolumeM3 * (1 + wasteFactor);
+  const orderVolumeM3 = grossVolumeM3 > 0
+    ? Math.ceil(roundVolume(grossVolumeM3 / orderIncrementM3)) * orderIncrementM3
+    : 0;
+  const truckLoads = orderVolumeM3 > 0 ? Math.ceil(roundVolume(orderVolumeM3 / truckCapacityM3)) : 0;
+
+  return {
+    foundationType,
+    strips,
+    netVolumeM3,
+    wasteFactor,
+    grossVolumeM3,
+    orderIncrementM3,
+    orderVolumeM3,
+    truckCapacityM3,
+    truckLoads,
+  };
+}
+
+/**
+ * Einzeilige Zusammenfassung fuer Planlegende und Hinweise.
+ * @param {ConcreteTakeoff} takeoff
+ * @returns {string}
+ */
+export function formatConcreteSummary(takeoff) {
+  const stripCount = takeoff.strips.length;
+  const perStrip = stripCount > 0 ? takeoff.strips[0].volumeM3 : 0;
+  // Bei abweichenden Fuessen (footOverrides) gibt es kein gemeinsames Einzelvolumen.
+  const uniform = takeoff.strips.every((strip) => formatM3(strip.volumeM3) === formatM3(perStrip));
+  const breakdown = uniform ? `${stripCount} x ${formatM3(perStrip)}` : `${stripCount} Fundamente`;
+  return `Beton: ${breakdown} = ${formatM3(takeoff.netVolumeM3)} m³ netto, `
+    + `+${Math.round(takeoff.wasteFactor * 100)}% = ${formatM3(takeoff.grossVolumeM3)} m³, `
+    + `Bestellung ${formatM3(takeoff.orderVolumeM3)} m³ (${takeoff.truckLoads} Fahrmischer).`;
+}
+
+/**
+ * Tabellarische Darstellung fuer Plan-Tab und PDF-Materialauszug.
+ * @param {ConcreteTakeoff} takeoff
+ * @returns {{ heading:string, columns:string[], rows:string[][], footnote:string }}
+ */
+export function toConcreteTable(takeoff) {
+  const isPoint = takeoff.foundationType === "point";
+  const rows = takeoff.strips.map((strip) => [
+    strip.label,
+    formatCm(strip.lengthCm),
+    formatCm(strip.widthCm),
+    formatCm(strip.depthCm),
+    formatM3(strip.volumeM3),
+  ]);
+  rows.push(["Summe netto", "", "", "", formatM3(takeoff.netVolumeM3)]);
+  rows.push([`inkl. ${Math.round(takeoff.wasteFactor * 100)}% Verschnitt`, "", "", "", formatM3(takeoff.grossVolumeM3)]);
+  rows.push([`Bestellmenge (${formatCm(takeoff.orderIncrementM3)}-m³-Schritte)`, "", "", "", formatM3(takeoff.orderVolumeM3)]);
+
+  return {
+    heading: isPoint ? "Beton Punktfundamente" : "Beton Fundamentstreifen",
+    columns: [isPoint ? "Fuss" : "Streifen", "Laenge (cm)", "Breite (cm)", "Tiefe (cm)", "Volumen (m³)"],
+    rows,
+    footnote: `${takeoff.truckLoads} Fahrmischer a ${formatCm(takeoff.truckCapacityM3)} m³.`,
+  };
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+export function formatM3(value) {
+  return (Number(value) || 0).toFixed(3);
+}
+
+function positiveOr(value, fallback, allowZero = false) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || (!allowZero && number === 0)) {
+    return fallback;
+  }
+  return number;
+}
+
+// Gleitkomma-Reste (z. B. 2.0000000001) duerfen nicht zur naechsten Bestellstufe aufrunden.
+function roundVolume(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
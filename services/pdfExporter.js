@@ -6,7 +6,20 @@
  * @returns {Promise<void>}
  */
 export async function exportSvgToPdf(svgElement, meta = {}) {
-  if (!(svgElement instanceof SVGSVGElement)) {
+  await exportSvgPagesToPdf([{ svgElement, pageMm: meta.pageMm }], { fileName: meta.fileName });
+}
+
+/**
+ * Mehrseitiger Export: jede Seite ist ein eigenes Layout-SVG mit eigener Seitengroesse.
+ * @param {{ svgElement: SVGSVGElement, pageMm?: { width:number, height:number } }[]} pages
+ * @param {{ fileName?: string }=} meta
+ * @returns {Promise<void>}
+ */
+export async function exportSvgPagesToPdf(pages, meta = {}) {
+  if (!Array.isArray(pages) || pages.length === 0) {
+    throw new Error("Keine Seiten fuer den PDF-Export vorhanden.");
+  }
+  if (!pages.every((page) => page && page.svgElement instanceof SVGSVGElement)) {
     throw new Error("Kein gueltiges SVG fuer den PDF-Export vorhanden.");
   }
 
@@ -17,18 +30,31 @@ export async function exportSvgToPdf(svgElement, meta = {}) {
 
   const { jsPDF } = jsPdfNamespace;
 
-  const pageMm = meta.pageMm && meta.pageMm.width > 0 && meta.pageMm.height > 0
-    ? meta.pageMm
-    : inferPageMm(svgElement);
+  let doc = null;
+  for (const page of pages) {
+    const pageMm = page.pageMm && page.pageMm.width > 0 && page.pageMm.height > 0
+      ? page.pageMm
+      : inferPageMm(page.svgElement);
+    const orientation = pageMm.width > pageMm.height ? "landscape" : "portrait";
+
+    if (!doc) {
+      doc = new jsPDF({
+        orientation,
+        unit: "mm",
+        format: [pageMm.width, pageMm.height],
+      });
+    } else {
+      doc.addPage([pageMm.width, pageMm.height], orientation);
+    }
 
-  const orientation = pageMm.width > pageMm.height ? "landscape" : "portrait";
+    await renderSvgPage(doc, page.svgElement);
+  }
 
-  const doc = new jsPDF({
-    orientation,
-    unit: "mm",
-    format: [pageMm.width, pageMm.height],
-  });
+  const safeName = sanitizeFileName(meta.fileName || "fundamentplan.pdf");
+  doc.save(safeName);
+}
 
+async function renderSvgPage(doc, svgElement) {
   const pageWidth = doc.internal.pageSize.getWidth();
   const pageHeight = doc.internal.pageSize.getHeight();
   const margin = 6;
@@ -66,9 +92,6 @@ export async function exportSvgToPdf(svgElement, meta = {}) {
   } else {
     throw new Error("Weder jsPDF.svg noch svg2pdf ist verfuegbar.");
   }
-
-  const safeName = sanitizeFileName(meta.fileName || "fundamentplan.pdf");
-  doc.save(safeName);
 }
 
 /**
@@ -0,0 +1,108 @@
+﻿import { computeDerivedDimensions } from "../domain/footGeometry.js";
+import { computeGroundPressure } from "../domain/groundPressure.js";
+import { computeConcreteTakeoff } from "./materialCalculator.js";
+import { generatePlanSvg } from "./planGenerator.js";
+import { computeReinforcement } from "./reinforcementPlanner.js";
+import { SVG_NS, cm, createBounds, createEl, createLayerStyle } from "./svgPrimitives.js";
+
+const COMPARE_MARGIN_CM = 20;
+
+export const COMPARE_COLORS = { a: "#2563eb", b: "#dc2626" };
+
+const COMPARE_CSS = Object.entries(COMPARE_COLORS)
+  .map(([key, color]) => `
+    .compare-${key} .layer-barrel rect,
+    .compare-${key} .layer-foundation rect,
+    .compare-${key} .layer-feet rect {
+      fill: ${color};
+      fill-opacity: 0.12;
+      stroke: ${color};
+      stroke-width: 2.4;
+      opacity: 1;
+    }
+    .compare-${key} .layer-feet rect {
+      fill-opacity: 0.45;
+    }`)
+  .join("");
+
+/**
+ * @typedef {Object} ComparedMetric
+ * @property {string} label
+ * @property {string} unit
+ * @property {number} a
+ * @property {number} b
+ */
+
+/**
+ * Ueberlagert die Draufsichten zweier Modelle in einem Koordinatensystem.
+ * Beide Plaene werden an der unteren Fasskante (Fussanfang) und der Fassmitte quer ausgerichtet,
+ * damit Fusslagen direkt vergleichbar sind. Bemassungen entfallen, die Farben stehen in COMPARE_COLORS.
+ * @param {import("../domain/sauna.js").SaunaConfig} configA
+ * @param {import("../domain/sauna.js").SaunaConfig} configB
+ * @param {{ title?: string }=} options
+ * @returns {{ svgElement: SVGSVGElement }}
+ */
+export function composeComparisonSvg(configA, configB, options = {}) {
+  const svg = createEl("svg", {
+    xmlns: SVG_NS,
+    role: "img",
+    "aria-label": options.title || "Planvergleich",
+  });
+  svg.appendChild(createLayerStyle(12, COMPARE_CSS));
+
+  const planA = generatePlanSvg(configA);
+  const planB = generatePlanSvg(configB);
+  // generatePlanSvg zentriert das Fass im Ursprung; B so verschieben, dass die unteren Fasskanten zusammenfallen.
+  const barrelBottomA = cm(Number(configA.barrelLength) || 0) / 2;
+  const barrelBottomB = cm(Number(configB.barrelLength) || 0) / 2;
+  const offsetB = barrelBottomA - barrelBottomB;
+
+  for (const [key, plan, dy] of [["a", planA, 0], ["b", planB, offsetB]]) {
+    const group = createEl("g", { class: `compare-${key}`, transform: `translate(0 ${dy})` });
+    const geometry = plan.svgElement.querySelector(".geometry-group");
+    if (geometry) {
+      group.appendChild(geometry);
+    }
+    svg.appendChild(group);
+  }
+
+  const margin = cm(COMPARE_MARGIN_CM);
+  const bounds = createBounds(
+    Math.min(planA.geometryBounds.minX, planB.geometryBounds.minX) - margin,
+    Math.min(planA.geometryBounds.minY, planB.geometryBounds.minY + offsetB) - margin,
+    Math.max(planA.geometryBounds.maxX, planB.geometryBounds.maxX) + margin,
+    Math.max(planA.geometryBounds.maxY, planB.geometryBounds.maxY + offsetB) + margin
+  );
+  svg.setAttribute("viewBox", `${Math.floor(bounds.minX)} ${Math.floor(bounds.minY)} ${Math.ceil(bounds.width)} ${Math.ceil(bounds.height)}`);
+
+  return { svgElement: svg };
+}
+
+/**
+ * Abgeleitete Kennwerte beider Modelle fuer die Vergleichstabelle.
+ * @param {import("../domain/sauna.js").SaunaConfig} configA
+ * @param {import("../domain/sauna.js").SaunaConfig} configB
+ * @returns {ComparedMetric[]}
+ */
+export function compareDerivedMetrics(configA, configB) {
+  const [a, b] = [configA, configB].map((config) => {
+    const metrics = computeDerivedDimensions(config);
+    return {
+      footCount: metrics.footCount,
+      totalFootSpan: metrics.totalFootSpan,
+      firstToLast: metrics.firstToLast,
+      concrete: computeConcreteTakeoff(config).netVolumeM3,
+      steel: computeReinforcement(config).totalWeightKg,
+      pressure: computeGroundPressure(config).maxPressureKnM2,
+    };
+  });
+
+  return [
+    { label: "Anzahl Fuesse", unit: "", a: a.footCount, b: b.footCount },
+    { label: "Fussspanne gesamt", unit: "cm", a: a.totalFootSpan, b: b.totalFootSpan },
+    { label: "Achsabstand erster bis letzter Fuss", unit: "cm", a: a.firstToLast, b: b.firstToLast },
+    { label: "Beton netto", unit: "m³", a: a.concrete, b: b.concrete },
+    { label: "Bewehrung (Vorschlag)", unit: "kg", a: a.steel, b: b.steel },
+    { label: "Sohldruck max.", unit: "kN/m²", a: a.pressure, b: b.pressure },
+  ];
+}
@@ -1,10 +1,16 @@
-﻿import { exportSvgToPdf } from "./pdfExporter.js";
+﻿import { exportSvgPagesToPdf } from "./pdfExporter.js";
 
 /**
- * @param {{ format:"pdf"|"svg", composedDocument:{svgElement:SVGSVGElement,pageMm?:{width:number,height:number}}, fileNameBase:string }} input
+ * Folgeseiten (appendixPages) werden nur im PDF beruecksichtigt; der SVG-Export bleibt einseitig.
+ * @param {{
+ *  format:"pdf"|"svg",
+ *  composedDocument:{svgElement:SVGSVGElement,pageMm?:{width:number,height:number}},
+ *  appendixPages?:{svgElement:SVGSVGElement,pageMm?:{width:number,height:number}}[],
+ *  fileNameBase:string
+ * }} input
  * @returns {Promise<void>}
  */
-export async function exportPlan({ format, composedDocument, fileNameBase }) {
+export async function exportPlan({ format, composedDocument, appendixPages = [], fileNameBase }) {
   if (!composedDocument || !(composedDocument.svgElement instanceof SVGSVGElement)) {
     throw new Error("Es liegt kein gueltiges Layout-Dokument fuer den Export vor.");
   }
@@ -16,10 +22,11 @@ export async function exportPlan({ format, composedDocument, fileNameBase }) {
     return;
   }
 
-  await exportSvgToPdf(composedDocument.svgElement, {
-    fileName: `${normalizedBase}.pdf`,
-    pageMm: composedDocument.pageMm,
-  });
+  const pages = [composedDocument, ...appendixPages].map((page) => ({
+    svgElement: page.svgElement,
+    pageMm: page.pageMm,
+  }));
+  await exportSvgPagesToPdf(pages, { fileName: `${normalizedBase}.pdf` });
 }
 
 function exportAsSvg(svgElement, fileName) {
@@ -1,49 +1,27 @@
-const SVG_NS = "http://www.w3.org/2000/svg";
-const SCALE = 10; // 1 cm = 10 SVG units
-const DEFAULT_DIM_TEXT_FONT_SIZE_PX = 13;
-
-/**
- * @typedef {Object} PlanMetrics
- * @property {number} footCount
- * @property {number} totalFootSpan
- * @property {number} firstToLast
- */
-
-/**
- * @param {import("../domain/sauna.js").SaunaConfig} saunaConfig
- * @returns {number[]}
- */
-export function computeFootCenters(saunaConfig) {
-  const distances = Array.isArray(saunaConfig.footDistances) ? saunaConfig.footDistances : [];
-  const footThickness = Math.max(0, Number(saunaConfig.footThickness) || 0);
-  const centers = [footThickness / 2];
-  for (const distance of distances) {
-    const innerGap = Math.max(0, Number(distance) || 0);
-    centers.push(centers[centers.length - 1] + footThickness + innerGap);
-  }
-  return centers;
-}
+﻿import {
+  DEFAULT_DIM_TEXT_FONT_SIZE_PX,
+  SCALE,
+  SVG_NS,
+  cm,
+  createBounds,
+  createDefs,
+  createEl,
+  createLayerStyle,
+  createRectFromCenter,
+  drawDimension,
+  formatCm,
+  yUpToSvg,
+} from "./svgPrimitives.js";
+import { computeDerivedDimensions, computeFirstFootOffset, computeFootCenters, resolveFootSpecs } from "../domain/footGeometry.js";
 
 /**
+ * distanceReference waehlt das Bezugssystem der Abstandsbemassung rechts:
+ * "inner" Innenkante zu Innenkante, "center" Achsabstand, "barrelEnd" Fussmitten ab Fassende.
  * @param {import("../domain/sauna.js").SaunaConfig} saunaConfig
- * @returns {PlanMetrics}
- */
-export function computeDerivedDimensions(saunaConfig) {
-  const distances = Array.isArray(saunaConfig.footDistances) ? saunaConfig.footDistances : [];
-  const footThickness = Math.max(0, Number(saunaConfig.footThickness) || 0);
-  const footCount = distances.length + 1;
-  const innerSum = distances.reduce((sum, value) => sum + Math.max(0, Number(value) || 0), 0);
-  const totalFootSpan = innerSum + footCount * footThickness;
-  const firstToLast = Math.max(0, totalFootSpan - footThickness);
-  return { footCount, totalFootSpan, firstToLast };
-}
-
-/**
- * @param {import("../domain/sauna.js").SaunaConfig} saunaConfig
- * @param {{title?: string, typography?: { dimTextFontSizePx?: number }}=} options
+ * @param {{title?: string, typography?: { dimTextFontSizePx?: number }, distanceReference?: "inner"|"center"|"barrelEnd"}=} options
  * @returns {{
  *   svgElement: SVGSVGElement,
- *   metrics: PlanMetrics,
+ *   metrics: import("../domain/footGeometry.js").PlanMetrics,
  *   warnings: string[],
  *   geometryBounds: { xMin:number, yMin:number, minX:number, minY:number, maxX:number, maxY:number, width:number, height:number },
  *   annotationBounds: { xMin:number, yMin:number, minX:number, minY:number, maxX:number, maxY:number, width:number, height:number }
@@ -56,22 +34,28 @@ export function generatePlanSvg(saunaConfig, options = {}) {
   // Verbindliche Achsensemantik (SizeX/SizeY)
   const barrelSizeX = cm(Math.max(0, Number(saunaConfig.barrelWidth) || 0));
   const barrelSizeY = cm(Math.max(0, Number(saunaConfig.barrelLength) || 0));
-  const footSizeX = cm(Math.max(0, Number(saunaConfig.footWidth) || 0));
-  const footSizeY = cm(Math.max(0, Number(saunaConfig.footThickness) || 0));
-  // Fachregel:
-  // - foundationWidth beschreibt die Ausdehnung auf der Y-Achse.
-  // - Auf der X-Achse entspricht der Fundamentstreifen exakt der Fussbreite.
-  const foundationSizeX = footSizeX;
-  const foundationSizeY = cm(Math.max(0, Number(saunaConfig.foundationWidth) || 0));
+  // Fachregel siehe computeFoundationLayout: Streifen quer in Fussbreite, Punktfundamente paarweise je Fuss.
+  // Jeder Fuss kann ueber footOverrides eigene Masse haben.
+  const feet = resolveFootSpecs(saunaConfig).map((spec) => ({
+    spec,
+    sizeX: cm(spec.footWidth),
+    sizeY: cm(spec.footThickness),
+    foundationSizeX: cm(spec.foundation.sizeX),
+    foundationSizeY: cm(spec.foundation.sizeY),
+    foundationOffsetsX: spec.foundation.offsetsX.map((offset) => cm(offset)),
+  }));
+  const isPoint = feet[0].spec.foundation.type === "point";
 
   if (barrelSizeX <= 0 || barrelSizeY <= 0) {
     warnings.push("Warnung: Fassgroesse ist ungueltig (Breite/Laenge <= 0).");
   }
-  if (footSizeX <= 0 || footSizeY <= 0) {
+  if (feet.some((foot) => foot.sizeX <= 0 || foot.sizeY <= 0)) {
     warnings.push("Warnung: Fussgroesse ist ungueltig (footSizeX/footSizeY <= 0).");
   }
-  if (foundationSizeY <= 0) {
-    warnings.push("Warnung: Fundamentbreite ist ungueltig (foundationSizeY <= 0).");
+  if (feet.some((foot) => foot.foundationSizeY <= 0)) {
+    warnings.push(isPoint
+      ? "Warnung: Punktfundamentgroesse ist ungueltig (pointFoundationSize <= 0)."
+      : "Warnung: Fundamentbreite ist ungueltig (foundationSizeY <= 0).");
   }
 
   const rawDistances = Array.isArray(saunaConfig.footDistances) ? saunaConfig.footDistances : [];
@@ -98,7 +82,7 @@ export function generatePlanSvg(saunaConfig, options = {}) {
   });
 
   svg.appendChild(createDefs());
-  svg.appendChild(createStyle(dimTextFontSizePx));
+  svg.appendChild(createLayerStyle(dimTextFontSizePx));
 
   const gGeometry = createEl("g", { class: "geometry-group layer-geometry", "data-group": "geometry" });
   const gAnnotation = createEl("g", { class: "annotation-group layer-annotation", "data-group": "annotation" });
@@ -137,33 +121,37 @@ export function generatePlanSvg(saunaConfig, options = {}) {
   let geometryMinY = barrelY;
   let geometryMaxY = barrelMaxY;
 
-  const footCount = footDistancesCm.length + 1;
   // Interne Konstruktionslogik in Y-up, mit Bezug auf die untere Fasskante als Null-Referenz:
   // - "Y=0" fuer die Streifenreihe entspricht der unteren Fasskante.
-  // - erster Fundamentstreifen: Unterkante bei dieser Referenz.
+  // - erster Fuss: Aussenkante um frontOverhang nach innen versetzt (siehe computeFirstFootOffset).
   const barrelBottomYUp = -barrelSizeY / 2;
-  const foundationCenterYUp = [barrelBottomYUp + foundationSizeY / 2];
+  // Fuesse sitzen jeweils mittig auf ihrem Fundament.
   /** @type {number[]} */
-  const footCenterYUp = [foundationCenterYUp[0]];
-  for (let i = 1; i < footCount; i += 1) {
+  const footCenterYUp = [barrelBottomYUp + cm(computeFirstFootOffset(saunaConfig))];
+  for (let i = 1; i < feet.length; i += 1) {
     const gapY = cm(footDistancesCm[i - 1]);
-    footCenterYUp.push(footCenterYUp[i - 1] + footSizeY / 2 + gapY + footSizeY / 2);
-    foundationCenterYUp.push(footCenterYUp[i]);
+    footCenterYUp.push(footCenterYUp[i - 1] + feet[i - 1].sizeY / 2 + gapY + feet[i].sizeY / 2);
   }
 
-  for (let i = 0; i < footCenterYUp.length; i += 1) {
-    const foundationCenterYSvg = yUpToSvg(foundationCenterYUp[i]);
+  for (let i = 0; i < feet.length; i += 1) {
+    const foot = feet[i];
     const footCenterYSvg = yUpToSvg(footCenterYUp[i]);
 
-    const foundationRect = createRectFromCenter(0, foundationCenterYSvg, foundationSizeX, foundationSizeY);
-    const footRect = createRectFromCenter(0, footCenterYSvg, footSizeX, footSizeY);
-    gFoundation.appendChild(foundationRect);
+    for (const offsetX of foot.foundationOffsetsX) {
+      gFoundation.appendChild(createRectFromCenter(offsetX, footCenterYSvg, foot.foundationSizeX, foot.foundationSizeY));
+      geometryMinX = Math.min(geometryMinX, offsetX - foot.foundationSizeX / 2);
+      geometryMaxX = Math.max(geometryMaxX, offsetX + foot.foundationSizeX / 2);
+    }
+    const footRect = createRectFromCenter(0, footCenterYSvg, foot.sizeX, foot.sizeY);
+    if (foot.spec.overridden) {
+      footRect.setAttribute("data-override", "true");
+    }
     gFeet.appendChild(footRect);
 
-    geometryMinX = Math.min(geometryMinX, -foundationSizeX / 2, -footSizeX / 2);
-    geometryMaxX = Math.max(geometryMaxX, foundationSizeX / 2, footSizeX / 2);
-    geometryMinY = Math.min(geometryMinY, foundationCenterYSvg - foundationSizeY / 2, footCenterYSvg - footSizeY / 2);
-    geometryMaxY = Math.max(geometryMaxY, foundationCenterYSvg + foundationSizeY / 2, footCenterYSvg + footSizeY / 2);
+    geometryMinX = Math.min(geometryMinX, -foot.sizeX / 2);
+    geometryMaxX = Math.max(geometryMaxX, foot.sizeX / 2);
+    geometryMinY = Math.min(geometryMinY, footCenterYSvg - Math.max(foot.foundationSizeY, foot.sizeY) / 2);
+    geometryMaxY = Math.max(geometryMaxY, footCenterYSvg + Math.max(foot.foundationSizeY, foot.sizeY) / 2);
   }
 
   let annotationMinX = Number.POSITIVE_INFINITY;
@@ -181,8 +169,13 @@ export function generatePlanSvg(saunaConfig, options = {}) {
 
   const rightDimRefX = Math.max(geometryMaxX, barrelMaxX);
   const rightSegmentOffsetX = cm(22);
-  const rightBarrelLengthOffsetX = cm(50); // ganz rechts aussen
-  const leftDimRefX = -foundationSizeX / 2;
+  const rightStackStepX = cm(10);
+  const distanceReference = ["center", "barrelEnd"].includes(options.distanceReference) ? options.distanceReference : "inner";
+  // Bemassung ab Fassende wird gestaffelt, die Fasslaenge bleibt immer ganz rechts aussen.
+  const rightStackCount = distanceReference === "barrelEnd" ? feet.length : 1;
+  const rightOverhangOffsetX = rightSegmentOffsetX + rightStackCount * rightStackStepX;
+  const rightBarrelLengthOffsetX = Math.max(cm(50), rightOverhangOffsetX + cm(18));
+  const leftDimRefX = Math.min(...feet.map((foot) => foot.foundationOffsetsX[0] - foot.foundationSizeX / 2));
   const leftDetailOffsetX = -cm(30);
   const leftOverallOffsetX = -cm(44);
   const leftMostDimX = leftDimRefX + Math.min(leftDetailOffsetX, leftOverallOffsetX);
@@ -190,13 +183,15 @@ export function generatePlanSvg(saunaConfig, options = {}) {
   const leftOverallTextX = leftTextX - cm(7);
 
   // Fuer jeden Fuss links eine Aussen-Bemassung:
-  // Randabstand oben, Fussdicke, Randabstand unten, Gesamtbreite des Fundamentstreifens.
-  for (let i = 0; i < footCenterYUp.length; i += 1) {
-    const yFoundationTopUp = foundationCenterYUp[i] + foundationSizeY / 2;
-    const yFootTopUp = footCenterYUp[i] + footSizeY / 2;
-    const yFootBottomUp = footCenterYUp[i] - footSizeY / 2;
-    const yFoundationBottomUp = foundationCenterYUp[i] - foundationSizeY / 2;
-    const marginUpCm = ((foundationSizeY - footSizeY) / 2) / SCALE;
+  // Randabstand oben, Fussdicke, Randabstand unten, Gesamtbreite des Fundamentstreifens bzw. Punktfundaments.
+  // Abweichende Fuesse (footOverrides) werden mit ihren eigenen Massen bemasst.
+  for (let i = 0; i < feet.length; i += 1) {
+    const foot = feet[i];
+    const yFoundationTopUp = footCenterYUp[i] + foot.foundationSizeY / 2;
+    const yFootTopUp = footCenterYUp[i] + foot.sizeY / 2;
+    const yFootBottomUp = footCenterYUp[i] - foot.sizeY / 2;
+    const yFoundationBottomUp = footCenterYUp[i] - foot.foundationSizeY / 2;
+    const marginUpCm = ((foot.foundationSizeY - foot.sizeY) / 2) / SCALE;
 
     trackAnnotation(
       drawDimension({
@@ -224,7 +219,7 @@ export function generatePlanSvg(saunaConfig, options = {}) {
         x2: leftDimRefX,
         y2: yUpToSvg(yFootBottomUp),
         offset: leftDetailOffsetX,
-        text: `${formatCm(Number(saunaConfig.footThickness) || 0)}`,
+        text: `${formatCm(foot.spec.footThickness)}`,
         orientation: "vertical",
         guidesGroup: gGuides,
         dimGroup: gDims,
@@ -262,7 +257,7 @@ export function generatePlanSvg(saunaConfig, options = {}) {
         x2: leftDimRefX,
         y2: yUpToSvg(yFoundationBottomUp),
         offset: leftOverallOffsetX,
-        text: `${formatCm(Number(saunaConfig.foundationWidth) || 0)}`,
+        text: `${formatCm(foot.spec.foundation.sizeY)}`,
         orientation: "vertical",
         guidesGroup: gGuides,
         dimGroup: gDims,
@@ -275,19 +270,45 @@ export function generatePlanSvg(saunaConfig, options = {}) {
     );
   }
 
-  // Rechts: Segmentmasse (Innenkante zu Innenkante) entlang der Y-Achse
-  for (let i = 0; i < footCenterYUp.length - 1; i += 1) {
-    const yInnerUpperCurrentUp = footCenterYUp[i] + footSizeY / 2;
-    const yInnerLowerNextUp = footCenterYUp[i + 1] - footSizeY / 2;
+  // Rechts: Abstandsmasse entlang der Y-Achse im gewaehlten Bezugssystem
+  /** @type {{ fromUp:number, toUp:number, offset:number, text:string }[]} */
+  const distanceDims = [];
+  if (distanceReference === "barrelEnd") {
+    feet.forEach((foot, i) => {
+      distanceDims.push({
+        fromUp: barrelBottomYUp,
+        toUp: footCenterYUp[i],
+        offset: rightSegmentOffsetX + i * rightStackStepX,
+        text: `ab Fassende: ${formatCm((footCenterYUp[i] - barrelBottomYUp) / SCALE)}`,
+      });
+    });
+  } else {
+    for (let i = 0; i < feet.length - 1; i += 1) {
+      distanceDims.push(distanceReference === "center"
+        ? {
+          fromUp: footCenterYUp[i],
+          toUp: footCenterYUp[i + 1],
+          offset: rightSegmentOffsetX,
+          text: `Achsabstand: ${formatCm((footCenterYUp[i + 1] - footCenterYUp[i]) / SCALE)}`,
+        }
+        : {
+          fromUp: footCenterYUp[i] + feet[i].sizeY / 2,
+          toUp: footCenterYUp[i + 1] - feet[i + 1].sizeY / 2,
+          offset: rightSegmentOffsetX,
+          text: `Innenabstand: ${formatCm(footDistancesCm[i])}`,
+        });
+    }
+  }
 
+  for (const dim of distanceDims) {
     trackAnnotation(
       drawDimension({
         x1: rightDimRefX,
-        y1: yUpToSvg(yInnerUpperCurrentUp),
+        y1: yUpToSvg(dim.fromUp),
         x2: rightDimRefX,
-        y2: yUpToSvg(yInnerLowerNextUp),
-        offset: rightSegmentOffsetX,
-        text: `Innenabstand: ${formatCm(footDistancesCm[i])}`,
+        y2: yUpToSvg(dim.toUp),
+        offset: dim.offset,
+        text: dim.text,
         orientation: "vertical",
         guidesGroup: gGuides,
         dimGroup: gDims,
@@ -297,15 +318,78 @@ export function generatePlanSvg(saunaConfig, options = {}) {
     );
   }
 
-  // Fussbreite (X) ueber der Fassbreiten-Bemassung
+  // Rechts: Ueberstaende vorne/hinten in eigener Spalte (Fasskante bis Aussenkante Fuss)
+  const barrelTopYUp = barrelSizeY / 2;
+  const lastFoot = feet.length - 1;
+  const overhangDims = [
+    { fromUp: barrelBottomYUp, toUp: footCenterYUp[0] - feet[0].sizeY / 2, label: "\u00DCberstand vorne" },
+    { fromUp: footCenterYUp[lastFoot] + feet[lastFoot].sizeY / 2, toUp: barrelTopYUp, label: "\u00DCberstand hinten" },
+  ];
+  if (overhangDims[1].toUp < overhangDims[1].fromUp) {
+    warnings.push("Warnung: Fuesse ragen hinten ueber das Fass hinaus (Ueberstand hinten < 0).");
+  }
+  for (const dim of overhangDims) {
+    const lengthCm = (dim.toUp - dim.fromUp) / SCALE;
+    if (Math.abs(lengthCm) < 0.01) continue;
+    trackAnnotation(
+      drawDimension({
+        x1: rightDimRefX,
+        y1: yUpToSvg(dim.fromUp),
+        x2: rightDimRefX,
+        y2: yUpToSvg(dim.toUp),
+        offset: rightOverhangOffsetX,
+        text: `${dim.label}: ${formatCm(lengthCm)}`,
+        orientation: "vertical",
+        guidesGroup: gGuides,
+        dimGroup: gDims,
+        textGroup: gText,
+        fontSizePx: dimTextFontSizePx,
+      })
+    );
+  }
+
+  // Punktfundamente: Kette oberhalb der Geometrie (Versatz, Groesse, lichter Abstand, Groesse, Versatz),
+  // bezogen auf den obersten Fuss.
+  if (isPoint) {
+    const topFoot = feet[feet.length - 1];
+    const chainX = [
+      -topFoot.sizeX / 2,
+      topFoot.foundationOffsetsX[0] - topFoot.foundationSizeX / 2,
+      topFoot.foundationOffsetsX[0] + topFoot.foundationSizeX / 2,
+      topFoot.foundationOffsetsX[1] - topFoot.foundationSizeX / 2,
+      topFoot.foundationOffsetsX[1] + topFoot.foundationSizeX / 2,
+      topFoot.sizeX / 2,
+    ];
+    for (let i = 0; i < chainX.length - 1; i += 1) {
+      const lengthCm = (chainX[i + 1] - chainX[i]) / SCALE;
+      if (lengthCm <= 0) continue;
+      trackAnnotation(
+        drawDimension({
+          x1: chainX[i],
+          y1: geometryMinY,
+          x2: chainX[i + 1],
+          y2: geometryMinY,
+          offset: -cm(20),
+          text: `${formatCm(lengthCm)}`,
+          orientation: "horizontal",
+          guidesGroup: gGuides,
+          dimGroup: gDims,
+          textGroup: gText,
+          fontSizePx: dimTextFontSizePx,
+        })
+      );
+    }
+  }
+
+  // Fussbreite (X) des untersten Fusses ueber der Fassbreiten-Bemassung
   trackAnnotation(
     drawDimension({
-      x1: -footSizeX / 2,
+      x1: -feet[0].sizeX / 2,
       y1: barrelMaxY,
-      x2: footSizeX / 2,
+      x2: feet[0].sizeX / 2,
       y2: barrelMaxY,
       offset: cm(20),
-      text: `Saunafu\u00DFbreite: ${formatCm(Number(saunaConfig.footWidth) || 0)}`,
+      text: `Saunafu\u00DFbreite: ${formatCm(feet[0].spec.footWidth)}`,
       orientation: "horizontal",
       guidesGroup: gGuides,
       dimGroup: gDims,
@@ -367,221 +451,3 @@ export function generatePlanSvg(saunaConfig, options = {}) {
 
   return { svgElement: svg, metrics, warnings, geometryBounds, annotationBounds };
 }
-
-function drawDimension({
-  x1,
-  y1,
-  x2,
-  y2,
-  offset,
-  text,
-  orientation,
-  guidesGroup,
-  dimGroup,
-  textGroup,
-  textXOverride,
-  textAnchorOverride,
-  textOffsetOverride,
-  rotateText = true,
-  fontSizePx = DEFAULT_DIM_TEXT_FONT_SIZE_PX,
-}) {
-  const extensionOvershoot = cm(0.8); // 8 mm
-  const objectGap = cm(0.4); // 4 mm
-  const defaultTextOffset = cm(2.8);
-  const textOffset = Number.isFinite(Number(textOffsetOverride)) ? Number(textOffsetOverride) : defaultTextOffset;
-  const markerPad = cm(1.8);
-  const fontSize = Math.max(9, Number(fontSizePx) || DEFAULT_DIM_TEXT_FONT_SIZE_PX);
-
-  if (orientation === "horizontal") {
-    const direction = offset >= 0 ? 1 : -1;
-    const baseY = (y1 + y2) / 2;
-    const dimY = baseY + offset;
-    const extStartY = baseY + direction * objectGap;
-    const extEndY = dimY + direction * extensionOvershoot;
-
-    guidesGroup.appendChild(createEl("line", { x1, y1: extStartY, x2: x1, y2: extEndY }));
-    guidesGroup.appendChild(createEl("line", { x1: x2, y1: extStartY, x2, y2: extEndY }));
-    dimGroup.appendChild(createEl("line", { x1, y1: dimY, x2, y2: dimY }));
-
-    const textX = (x1 + x2) / 2;
-    // Horizontale Massbeschriftung immer unter der Masslinie platzieren.
-    const textY = dimY + textOffset;
-    textGroup.appendChild(
-      createEl(
-        "text",
-        { x: textX, y: textY, "text-anchor": textAnchorOverride || "middle", "dominant-baseline": "hanging" },
-        text
-      )
-    );
-
-    const textWidth = estimateTextWidth(text, fontSize);
-    return {
-      minX: Math.min(x1, x2, textX - textWidth / 2) - markerPad,
-      minY: Math.min(extStartY, extEndY, dimY, textY - fontSize) - markerPad,
-      maxX: Math.max(x1, x2, textX + textWidth / 2) + markerPad,
-      maxY: Math.max(extStartY, extEndY, dimY, textY) + markerPad,
-    };
-  }
-
-  const direction = offset >= 0 ? 1 : -1;
-  const baseX = (x1 + x2) / 2;
-  const dimX = baseX + offset;
-  const extStartX = baseX + direction * objectGap;
-  const extEndX = dimX + direction * extensionOvershoot;
-
-  guidesGroup.appendChild(createEl("line", { x1: extStartX, y1, x2: extEndX, y2: y1 }));
-  guidesGroup.appendChild(createEl("line", { x1: extStartX, y1: y2, x2: extEndX, y2 }));
-  dimGroup.appendChild(createEl("line", { x1: dimX, y1, x2: dimX, y2 }));
-
-  const textX = dimX + direction * textOffset;
-  const textY = (y1 + y2) / 2;
-  const finalTextX = Number.isFinite(Number(textXOverride)) ? Number(textXOverride) : textX;
-  const finalTextAnchor = textAnchorOverride || "middle";
-  textGroup.appendChild(
-    rotateText
-      ? createEl(
-          "text",
-          {
-            x: finalTextX,
-            y: textY,
-            transform: `rotate(90 ${finalTextX} ${textY})`,
-            "text-anchor": finalTextAnchor,
-          },
-          text
-        )
-      : createEl(
-          "text",
-          {
-            x: finalTextX,
-            y: textY,
-            "text-anchor": finalTextAnchor,
-            "dominant-baseline": "middle",
-          },
-          text
-        )
-  );
-
-  const textWidth = estimateTextWidth(text, fontSize);
-  const textHalfSpanY = rotateText ? textWidth / 2 : fontSize / 2;
-  const textHalfSpanX = rotateText ? fontSize / 2 : textWidth / 2;
-  return {
-    minX: Math.min(extStartX, extEndX, dimX, finalTextX - textHalfSpanX) - markerPad,
-    minY: Math.min(y1, y2, textY - textHalfSpanY) - markerPad,
-    maxX: Math.max(extStartX, extEndX, dimX, finalTextX + textHalfSpanX) + markerPad,
-    maxY: Math.max(y1, y2, textY + textHalfSpanY) + markerPad,
-  };
-}
-
-function createStyle(dimTextFontSizePx) {
-  const style = createEl("style");
-  style.textContent = `
-    .layer-barrel rect {
-      fill: #f3f4f6;
-      stroke: #111827;
-      stroke-width: 2.4;
-      vector-effect: non-scaling-stroke;
-    }
-    .layer-foundation rect {
-      fill: #374151;
-      stroke: #000000;
-      stroke-width: 3.6;
-      vector-effect: non-scaling-stroke;
-      opacity: 0.96;
-    }
-    .layer-feet rect {
-      fill: #f59e0b;
-      stroke: #78350f;
-      stroke-width: 2.8;
-      vector-effect: non-scaling-stroke;
-      opacity: 0.98;
-    }
-    .layer-guides line {
-      stroke: #4b5563;
-      stroke-width: 1.5;
-      vector-effect: non-scaling-stroke;
-    }
-    .layer-dimensions line {
-      stroke: #0f172a;
-      stroke-width: 2;
-      vector-effect: non-scaling-stroke;
-      marker-start: url(#dim-arrow);
-      marker-end: url(#dim-arrow);
-    }
-    .layer-text text {
-      fill: #111827;
-      font-family: 'Segoe UI', Tahoma, sans-serif;
-      font-size: ${dimTextFontSizePx}px;
-      font-weight: 600;
-    }
-  `;
-  return style;
-}
-
-function createDefs() {
-  const defs = createEl("defs");
-  const marker = createEl("marker", {
-    id: "dim-arrow",
-    viewBox: "0 0 10 10",
-    refX: "9",
-    refY: "5",
-    markerWidth: "6",
-    markerHeight: "6",
-    orient: "auto-start-reverse",
-    markerUnits: "strokeWidth",
-  });
-  marker.appendChild(createEl("path", { d: "M 0 0 L 10 5 L 0 10 z", fill: "#0f172a" }));
-  defs.appendChild(marker);
-  return defs;
-}
-
-function createRectFromCenter(cx, cy, width, height) {
-  return createEl("rect", {
-    x: cx - width / 2,
-    y: cy - height / 2,
-    width,
-    height,
-  });
-}
-
-function createEl(name, attrs = {}, textContent = "") {
-  const element = document.createElementNS(SVG_NS, name);
-  for (const [key, value] of Object.entries(attrs)) {
-    element.setAttribute(key, String(value));
-  }
-  if (textContent) {
-    element.textContent = textContent;
-  }
-  return element;
-}
-
-function createBounds(minX, minY, maxX, maxY) {
-  const width = Math.max(1, maxX - minX);
-  const height = Math.max(1, maxY - minY);
-  return {
-    xMin: minX,
-    yMin: minY,
-    minX,
-    minY,
-    maxX,
-    maxY,
-    width,
-    height,
-  };
-}
-
-function estimateTextWidth(text, fontSize = 14) {
-  return String(text || "").length * (fontSize * 0.56);
-}
-
-function cm(value) {
-  return (Number(value) || 0) * SCALE;
-}
-
-function yUpToSvg(valueYUp) {
-  return -valueYUp;
-}
-
-function formatCm(value) {
-  const number = Number(value) || 0;
-  return Number.isInteger(number) ? String(number) : number.toFixed(2);
-}
@@ -2,6 +2,14 @@ const MM_TO_PX = 96 / 25.4;
 const SVG_NS = "http://www.w3.org/2000/svg";
 const TARGET_FILL_RATIO = 0.98;
 const MIN_DOMINANT_COVERAGE = 2 / 3;
+const CAPTION_HEIGHT_PX = 28;
+const TABLE_ROW_HEIGHT_PX = 18;
+const LEGEND_FIRST_BASELINE_PX = 22;
+const LEGEND_LINE_HEIGHT_PX = 16;
+const IMAGE_GRID_COLUMNS = 2;
+const IMAGE_GRID_ROWS = 2;
+const THUMBNAIL_ASPECT = 4 / 3;
+const THUMBNAIL_PADDING_PX = 6;
 
 /**
  * @param {{
@@ -9,7 +17,10 @@ const MIN_DOMINANT_COVERAGE = 2 / 3;
  *  planSvg:SVGSVGElement,
  *  planGeometryBounds?: { xMin?:number, yMin?:number, minX?:number,minY?:number,maxX?:number,maxY?:number,width:number,height:number },
  *  planAnnotationBounds?: { xMin?:number, yMin?:number, minX?:number,minY?:number,maxX?:number,maxY?:number,width:number,height:number },
- *  meta?:{title?:string,modelName?:string},
+ *  sectionSvg?:SVGSVGElement,
+ *  sectionGeometryBounds?: { xMin?:number, yMin?:number, minX?:number,minY?:number,maxX?:number,maxY?:number,width:number,height:number },
+ *  sectionAnnotationBounds?: { xMin?:number, yMin?:number, minX?:number,minY?:number,maxX?:number,maxY?:number,width:number,height:number },
+ *  meta?:{title?:string,modelName?:string,thumbnail?:{dataUrl:string,label?:string}},
  *  notes?:string[]
  * }} input
  * @returns {{
@@ -27,10 +38,21 @@ const MIN_DOMINANT_COVERAGE = 2 / 3;
  *  }
  * }}
  */
-export function composePlanDocument({ template, planSvg, planGeometryBounds, planAnnotationBounds, meta = {}, notes = [] }) {
+export function composePlanDocument({
+  template,
+  planSvg,
+  planGeometryBounds,
+  planAnnotationBounds,
+  sectionSvg,
+  sectionGeometryBounds,
+  sectionAnnotationBounds,
+  meta = {},
+  notes = [],
+}) {
   if (!(planSvg instanceof SVGSVGElement)) {
     throw new Error("Planinhalt fehlt fuer das Layout.");
   }
+  const hasSection = sectionSvg instanceof SVGSVGElement;
 
   const pageWidthPx = mmToPx(template.page.widthMm);
   const pageHeightPx = mmToPx(template.page.heightMm);
@@ -45,41 +67,41 @@ export function composePlanDocument({ template, planSvg, planGeometryBounds, pla
 
   const headerHeight = mmToPx(regions.headerMm);
   const legendHeight = mmToPx(regions.legendMm);
+  const sectionHeight = hasSection ? mmToPx(regions.sectionMm || 0) : 0;
+  const sectionGap = hasSection ? mmToPx(regions.gapMm || 0) : 0;
 
   const contentTop = top + headerHeight;
-  const contentHeight = Math.max(1, pageHeightPx - (top + mmToPx(margins.bottomMm) + headerHeight + legendHeight));
-  const legendTop = contentTop + contentHeight;
-
-  const svg = create("svg", {
-    xmlns: SVG_NS,
-    width: pageWidthPx,
-    height: pageHeightPx,
-    viewBox: `0 0 ${pageWidthPx} ${pageHeightPx}`,
-    role: "img",
-    "aria-label": meta.title || "Planlayout",
-  });
+  const contentHeight = Math.max(
+    1,
+    pageHeightPx - (top + mmToPx(margins.bottomMm) + headerHeight + legendHeight + sectionHeight + sectionGap)
+  );
+  const sectionTop = contentTop + contentHeight + sectionGap;
+  const legendTop = sectionTop + sectionHeight;
 
-  svg.appendChild(createStyle());
+  const svg = createPageSvg(template, meta.title || "Planlayout");
   cloneDefs(planSvg, svg);
   cloneInlineStyles(planSvg, svg);
 
+  /** @type {Record<string,{x:number,y:number,width:number,height:number}>} */
   const slots = {
     header: { x: left, y: top, width: innerWidth, height: headerHeight },
     content: { x: left, y: contentTop, width: innerWidth, height: contentHeight },
     legend: { x: left, y: legendTop, width: innerWidth, height: legendHeight },
   };
+  if (hasSection) {
+    slots.section = { x: left, y: sectionTop, width: innerWidth, height: sectionHeight };
+  }
 
   drawSeparatorLine(svg, slots.content.x, slots.content.x + slots.content.width, slots.content.y, "slot-divider");
+  if (slots.section) {
+    drawSeparatorLine(svg, slots.section.x, slots.section.x + slots.section.width, slots.section.y, "slot-divider");
+  }
   drawSeparatorLine(svg, slots.legend.x, slots.legend.x + slots.legend.width, slots.legend.y, "slot-divider");
 
-  svg.appendChild(create("text", { x: slots.header.x + 12, y: slots.header.y + 26, class: "title" }, meta.title || "Fundamentplan"));
-  svg.appendChild(
-    create(
-      "text",
-      { x: slots.header.x + 12, y: slots.header.y + 46, class: "subtitle" },
-      `Modell: ${meta.modelName || "Unbenannt"} | Schablone: ${template.label}`
-    )
-  );
+  const thumbnailSlot = drawHeader(svg, slots.header, meta, template);
+  if (thumbnailSlot) {
+    slots.thumbnail = thumbnailSlot;
+  }
 
   const legendLines = notes.length > 0
     ? notes
@@ -88,13 +110,15 @@ export function composePlanDocument({ template, planSvg, planGeometryBounds, pla
         "Export basiert auf dem aktuell berechneten Planstand.",
         "Fundamentempfehlung - Ausfuehrung bauseits.",
       ];
-  legendLines.slice(0, 4).forEach((line, index) => {
+  // So viele Zeilen, wie in den Legendenbereich passen.
+  const maxLegendLines = Math.max(1, Math.floor((slots.legend.height - LEGEND_FIRST_BASELINE_PX - 4) / LEGEND_LINE_HEIGHT_PX) + 1);
+  legendLines.slice(0, maxLegendLines).forEach((line, index) => {
     svg.appendChild(
       create(
         "text",
         {
           x: slots.legend.x + 12,
-          y: slots.legend.y + 22 + index * 16,
+          y: slots.legend.y + LEGEND_FIRST_BASELINE_PX + index * LEGEND_LINE_HEIGHT_PX,
           class: "legend-text",
         },
         line
@@ -102,10 +126,307 @@ export function composePlanDocument({ template, planSvg, planGeometryBounds, pla
     );
   });
 
-  const fit = buildFitTransform(planSvg, slots.content, planGeometryBounds, planAnnotationBounds, template.page.orientation);
+  const fit = placeDrawing(svg, planSvg, slots.content, planGeometryBounds, planAnnotationBounds, template.page.orientation);
+  if (legendLines.length > maxLegendLines) {
+    const hidden = legendLines.length - maxLegendLines;
+    fit.warning = prependWarning(
+      fit.warning,
+      `Legende: ${hidden} von ${legendLines.length} Zeilen passen nicht in den Legendenbereich und fehlen auf dem Blatt.`
+    );
+  }
+
+  if (hasSection) {
+    cloneDefs(sectionSvg, svg);
+    cloneInlineStyles(sectionSvg, svg);
+    const sectionFit = placeDrawing(
+      svg,
+      sectionSvg,
+      slots.section,
+      sectionGeometryBounds,
+      sectionAnnotationBounds,
+      template.page.orientation
+    );
+    if (sectionFit.warning) {
+      fit.warning = prependWarning(fit.warning, `Schnitt: ${sectionFit.warning}`);
+    }
+  }
+
+  return {
+    svgElement: svg,
+    templateId: template.id,
+    pageMm: { width: template.page.widthMm, height: template.page.heightMm },
+    slots,
+    fit: {
+      sourceBounds: fit.sourceBounds,
+      annotationBounds: fit.annotationBounds,
+      targetSlot: fit.targetSlot,
+      scale: fit.scale,
+      warning: fit.warning,
+      coverage: fit.coverage,
+    },
+  };
+}
+
+/**
+ * Folgeseite mit mehreren Zeichnungen (z. B. Laengs- und Querschnitt) untereinander.
+ * @param {{
+ *  template:any,
+ *  drawings:{ svg:SVGSVGElement, geometryBounds?:any, annotationBounds?:any, caption?:string }[],
+ *  meta?:{title?:string,modelName?:string}
+ * }} input
+ * @returns {{ svgElement:SVGSVGElement, templateId:string, pageMm:{width:number,height:number}, slots:Record<string,{x:number,y:number,width:number,height:number}>, warnings:string[] }}
+ */
+export function composeDrawingPage({ template, drawings, meta = {} }) {
+  const frame = computePageFrame(template);
+  const svg = createPageSvg(template, meta.title || "Ansichten");
+  drawHeader(svg, frame.header, meta, template);
+  drawSeparatorLine(svg, frame.body.x, frame.body.x + frame.body.width, frame.body.y, "slot-divider");
+
+  const warnings = [];
+  const validDrawings = drawings.filter((drawing) => drawing && drawing.svg instanceof SVGSVGElement);
+  const gap = mmToPx(template.regions.gapMm || 0);
+  const slotHeight = validDrawings.length > 0
+    ? (frame.body.height - gap * (validDrawings.length - 1)) / validDrawings.length
+    : frame.body.height;
+
+  /** @type {Record<string,{x:number,y:number,width:number,height:number}>} */
+  const slots = { header: frame.header };
+  validDrawings.forEach((drawing, index) => {
+    const slotTop = frame.body.y + index * (slotHeight + gap);
+    svg.appendChild(create("text", { x: frame.body.x + 12, y: slotTop + 20, class: "section-heading" }, drawing.caption || ""));
+
+    const slot = { x: frame.body.x, y: slotTop + CAPTION_HEIGHT_PX, width: frame.body.width, height: Math.max(1, slotHeight - CAPTION_HEIGHT_PX) };
+    slots[`drawing${index + 1}`] = slot;
+
+    cloneDefs(drawing.svg, svg);
+    cloneInlineStyles(drawing.svg, svg);
+    const fit = placeDrawing(svg, drawing.svg, slot, drawing.geometryBounds, drawing.annotationBounds, template.page.orientation);
+    if (fit.warning) {
+      warnings.push(`${drawing.caption || `Ansicht ${index + 1}`}: ${fit.warning}`);
+    }
+  });
+
+  return {
+    svgElement: svg,
+    templateId: template.id,
+    pageMm: { width: template.page.widthMm, height: template.page.heightMm },
+    slots,
+    warnings,
+  };
+}
+
+/**
+ * Folgeseite mit tabellarischen Abschnitten (z. B. Materialauszug).
+ * Die erste Spalte ist linksbuendig, alle weiteren rechtsbuendig.
+ * @param {{
+ *  template:any,
+ *  tables:{ heading:string, columns:string[], rows:string[][] }[],
+ *  meta?:{title?:string,modelName?:string}
+ * }} input
+ * @returns {{ svgElement:SVGSVGElement, templateId:string, pageMm:{width:number,height:number}, slots:Record<string,{x:number,y:number,width:number,height:number}>, warnings:string[] }}
+ */
+export function composeTablePage({ template, tables, meta = {} }) {
+  const frame = computePageFrame(template);
+  const svg = createPageSvg(template, meta.title || "Tabellen");
+  drawHeader(svg, frame.header, meta, template);
+  drawSeparatorLine(svg, frame.body.x, frame.body.x + frame.body.width, frame.body.y, "slot-divider");
+
+  const warnings = [];
+  const maxY = frame.body.y + frame.body.height - TABLE_ROW_HEIGHT_PX;
+  let cursorY = frame.body.y + 28;
+  let truncated = false;
+
+  for (const table of tables) {
+    if (cursorY > maxY) {
+      truncated = true;
+      break;
+    }
+    svg.appendChild(create("text", { x: frame.body.x + 12, y: cursorY, class: "section-heading" }, table.heading));
+    cursorY += TABLE_ROW_HEIGHT_PX + 4;
+
+    const columnXs = computeColumnXs(frame.body, table.columns.length);
+    for (const [rowIndex, row] of [table.columns, ...table.rows].entries()) {
+      if (cursorY > maxY) {
+        truncated = true;
+        break;
+      }
+      row.forEach((cell, columnIndex) => {
+        svg.appendChild(
+          create(
+            "text",
+            {
+              x: columnXs[columnIndex],
+              y: cursorY,
+              class: rowIndex === 0 ? "table-head" : "legend-text",
+              "text-anchor": columnIndex === 0 ? "start" : "end",
+            },
+            cell
+          )
+        );
+      });
+      cursorY += TABLE_ROW_HEIGHT_PX;
+    }
+    cursorY += TABLE_ROW_HEIGHT_PX;
+  }
+
+  if (truncated) {
+    warnings.push(`${meta.title || "Tabellen"}: Inhalt passt nicht vollstaendig auf eine Seite und wurde gekuerzt.`);
+  }
+
+  return {
+    svgElement: svg,
+    templateId: template.id,
+    pageMm: { width: template.page.widthMm, height: template.page.heightMm },
+    slots: { header: frame.header, content: frame.body },
+    warnings,
+  };
+}
+
+/**
+ * Bildseiten mit je bis zu vier Bildern (2 x 2) inkl. Beschriftung.
+ * @param {{
+ *  template:any,
+ *  images:{ dataUrl:string, label?:string }[],
+ *  meta?:{title?:string,modelName?:string}
+ * }} input
+ * @returns {{ svgElement:SVGSVGElement, templateId:string, pageMm:{width:number,height:number}, slots:Record<string,{x:number,y:number,width:number,height:number}>, warnings:string[] }[]}
+ */
+export function composeImagePages({ template, images, meta = {} }) {
+  const pages = [];
+  const perPage = IMAGE_GRID_COLUMNS * IMAGE_GRID_ROWS;
+
+  for (let start = 0; start < images.length; start += perPage) {
+    const frame = computePageFrame(template);
+    const svg = createPageSvg(template, meta.title || "Bilder");
+    drawHeader(svg, frame.header, meta, template);
+    drawSeparatorLine(svg, frame.body.x, frame.body.x + frame.body.width, frame.body.y, "slot-divider");
+
+    const gap = mmToPx(template.regions.gapMm || 0);
+    const cellWidth = (frame.body.width - gap * (IMAGE_GRID_COLUMNS + 1)) / IMAGE_GRID_COLUMNS;
+    const cellHeight = (frame.body.height - gap * (IMAGE_GRID_ROWS + 1)) / IMAGE_GRID_ROWS;
+
+    /** @type {Record<string,{x:number,y:number,width:number,height:number}>} */
+    const slots = { header: frame.header };
+    images.slice(start, start + perPage).forEach((image, offset) => {
+      const column = offset % IMAGE_GRID_COLUMNS;
+      const row = Math.floor(offset / IMAGE_GRID_COLUMNS);
+      const cell = {
+        x: frame.body.x + gap + column * (cellWidth + gap),
+        y: frame.body.y + gap + row * (cellHeight + gap),
+        width: cellWidth,
+        height: cellHeight,
+      };
+      slots[`image${start + offset + 1}`] = cell;
+
+      svg.appendChild(
+        create("image", {
+          x: cell.x,
+          y: cell.y,
+          width: cell.width,
+          height: Math.max(1, cell.height - CAPTION_HEIGHT_PX),
+          href: image.dataUrl,
+          preserveAspectRatio: "xMidYMid meet",
+        })
+      );
+      svg.appendChild(
+        create(
+          "text",
+          { x: cell.x + cell.width / 2, y: cell.y + cell.height - 8, class: "legend-text", "text-anchor": "middle" },
+          image.label || `Bild ${start + offset + 1}`
+        )
+      );
+    });
+
+    pages.push({
+      svgElement: svg,
+      templateId: template.id,
+      pageMm: { width: template.page.widthMm, height: template.page.heightMm },
+      slots,
+      warnings: [],
+    });
+  }
+
+  return pages;
+}
+
+function computePageFrame(template) {
+  const pageWidthPx = mmToPx(template.page.widthMm);
+  const pageHeightPx = mmToPx(template.page.heightMm);
+  const left = mmToPx(template.margins.leftMm);
+  const top = mmToPx(template.margins.topMm);
+  const innerWidth = pageWidthPx - left - mmToPx(template.margins.rightMm);
+  const headerHeight = mmToPx(template.regions.headerMm);
+  const bodyTop = top + headerHeight;
+  const bodyHeight = Math.max(1, pageHeightPx - mmToPx(template.margins.bottomMm) - bodyTop);
+
+  return {
+    header: { x: left, y: top, width: innerWidth, height: headerHeight },
+    body: { x: left, y: bodyTop, width: innerWidth, height: bodyHeight },
+  };
+}
+
+function computeColumnXs(slot, columnCount) {
+  if (columnCount <= 1) {
+    return [slot.x + 12];
+  }
+  // Erste Spalte bekommt den doppelten Platz fuer Beschriftungen.
+  const unit = (slot.width - 24) / (columnCount + 1);
+  const xs = [slot.x + 12];
+  for (let i = 1; i < columnCount; i += 1) {
+    xs.push(slot.x + 12 + unit * (i + 2));
+  }
+  return xs;
+}
+
+function createPageSvg(template, ariaLabel) {
+  const pageWidthPx = mmToPx(template.page.widthMm);
+  const pageHeightPx = mmToPx(template.page.heightMm);
+  const svg = create("svg", {
+    xmlns: SVG_NS,
+    width: pageWidthPx,
+    height: pageHeightPx,
+    viewBox: `0 0 ${pageWidthPx} ${pageHeightPx}`,
+    role: "img",
+    "aria-label": ariaLabel,
+  });
+  svg.appendChild(createStyle());
+  return svg;
+}
+
+// Liefert den Platz des Vorschaubilds (meta.thumbnail) rechts im Kopf oder null.
+function drawHeader(svg, slot, meta, template) {
+  svg.appendChild(create("text", { x: slot.x + 12, y: slot.y + 26, class: "title" }, meta.title || "Fundamentplan"));
+  svg.appendChild(
+    create(
+      "text",
+      { x: slot.x + 12, y: slot.y + 46, class: "subtitle" },
+      `Modell: ${meta.modelName || "Unbenannt"} | Schablone: ${template.label}`
+    )
+  );
+
+  if (!meta.thumbnail || !meta.thumbnail.dataUrl) {
+    return null;
+  }
+  const height = Math.max(1, slot.height - 2 * THUMBNAIL_PADDING_PX);
+  const width = height * THUMBNAIL_ASPECT;
+  const thumbnail = { x: slot.x + slot.width - width, y: slot.y + THUMBNAIL_PADDING_PX, width, height };
+  svg.appendChild(
+    create("image", {
+      ...thumbnail,
+      href: meta.thumbnail.dataUrl,
+      preserveAspectRatio: "xMidYMid slice",
+      "aria-label": meta.thumbnail.label || "Hauptbild",
+    })
+  );
+  svg.appendChild(create("rect", { ...thumbnail, class: "thumbnail-frame" }));
+  return thumbnail;
+}
 
-  const geometrySource = resolveGroup(planSvg, ".geometry-group", "geometry");
-  const annotationSource = resolveGroup(planSvg, ".annotation-group", "annotation");
+function placeDrawing(svg, drawingSvg, slot, geometryBounds, annotationBounds, pageOrientation) {
+  const fit = buildFitTransform(drawingSvg, slot, geometryBounds, annotationBounds, pageOrientation);
+
+  const geometrySource = resolveGroup(drawingSvg, ".geometry-group", "geometry");
+  const annotationSource = resolveGroup(drawingSvg, ".annotation-group", "annotation");
 
   if (geometrySource) {
     const geometryGroup = create("g", { transform: fit.transform });
@@ -113,7 +434,7 @@ export function composePlanDocument({ template, planSvg, planGeometryBounds, pla
     svg.appendChild(geometryGroup);
   } else {
     const fallbackGroup = create("g", { transform: fit.transform });
-    fallbackGroup.appendChild(/** @type {Node} */ (planSvg.cloneNode(true)));
+    fallbackGroup.appendChild(/** @type {Node} */ (drawingSvg.cloneNode(true)));
     svg.appendChild(fallbackGroup);
     fit.warning = prependWarning(fit.warning, "Geometriegruppe fehlt. Fallback auf gesamtes Plan-SVG verwendet.");
   }
@@ -125,20 +446,7 @@ export function composePlanDocument({ template, planSvg, planGeometryBounds, pla
     fit.warning = prependWarning(fit.warning, "Annotationsgruppe fehlt. Keine separate Annotation-Overlay-Projektion moeglich.");
   }
 
-  return {
-    svgElement: svg,
-    templateId: template.id,
-    pageMm: { width: template.page.widthMm, height: template.page.heightMm },
-    slots,
-    fit: {
-      sourceBounds: fit.sourceBounds,
-      annotationBounds: fit.annotationBounds,
-      targetSlot: fit.targetSlot,
-      scale: fit.scale,
-      warning: fit.warning,
-      coverage: fit.coverage,
-    },
-  };
+  return fit;
 }
 
 function buildFitTransform(planSvg, slot, planGeometryBounds, planAnnotationBounds, pageOrientation) {
@@ -364,7 +672,16 @@ function cloneInlineStyles(sourceSvg, targetSvg) {
 function cloneDefs(sourceSvg, targetSvg) {
   const defsList = sourceSvg.querySelectorAll("defs");
   for (const defs of defsList) {
-    targetSvg.appendChild(defs.cloneNode(true));
+    const cloned = /** @type {Element} */ (defs.cloneNode(true));
+    // Plan und Schnitt bringen dieselben Marker mit; doppelte IDs vermeiden.
+    for (const child of Array.from(cloned.children)) {
+      if (child.id && targetSvg.querySelector(`[id="${child.id}"]`)) {
+        child.remove();
+      }
+    }
+    if (cloned.children.length > 0) {
+      targetSvg.appendChild(cloned);
+    }
   }
 }
 
@@ -441,6 +758,11 @@ function createStyle() {
       stroke-width: 1;
       vector-effect: non-scaling-stroke;
     }
+    .thumbnail-frame {
+      fill: none;
+      stroke: #d1d5db;
+      stroke-width: 1;
+    }
     .title {
       font-family: 'Segoe UI', Tahoma, sans-serif;
       font-size: 18px;
@@ -452,6 +774,17 @@ function createStyle() {
       font-size: 12px;
       fill: #374151;
     }
+    .section-heading, .table-head {
+      font-family: 'Segoe UI', Tahoma, sans-serif;
+      font-weight: 600;
+      fill: #111827;
+    }
+    .section-heading {
+      font-size: 14px;
+    }
+    .table-head {
+      font-size: 12px;
+    }
   `;
   return style;
 }
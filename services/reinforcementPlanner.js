@@ -0,0 +1,266 @@
+﻿import { resolveFootSpecs } from "../domain/footGeometry.js";
+import { formatCm } from "./svgPrimitives.js";
+
+// Faustregeln fuer kleine, gering belastete Fundamente (Betonstahl B500B). Ersetzt keine Statik.
+const CONCRETE_COVER_CM = 5;
+const MAX_BAR_SPACING_CM = 20;
+const MESH_BAR_SPACING_CM = 15;
+const STIRRUP_SPACING_CM = 20;
+const MAX_CAGE_HEIGHT_CM = 50;
+// Flachere Koerper erhalten nur eine untere Lage ohne Buegel.
+const MIN_CAGE_DEPTH_CM = 40;
+const MIN_STIRRUP_HOOK_CM = 7.5;
+// Gewicht je Meter: 0,00617 * d^2 kg/m (d in mm)
+const STEEL_KG_PER_M_PER_MM2 = 0.00617;
+
+/**
+ * Eine Stablage in einer Richtung. Versaetze sind quer zur Stabrichtung ab Koerpermitte gemessen,
+ * Hoehen ab Fundamentsohle bis Stabachse.
+ * @typedef {Object} BarLayer
+ * @property {number} position Positionsnummer in der Stahlliste
+ * @property {number} diameterMm
+ * @property {number} lengthCm
+ * @property {number[]} offsetsCm
+ * @property {number[]} heightsCm
+ */
+
+/**
+ * Geschlossene Buegel um die Laengsstaebe eines Streifens.
+ * @typedef {Object} StirrupSet
+ * @property {number} position
+ * @property {number} diameterMm
+ * @property {number} spacingCm
+ * @property {number} widthCm Aussenmass quer zum Streifen
+ * @property {number} heightCm Aussenmass
+ * @property {number} bottomCm Unterkante ab Fundamentsohle
+ * @property {number} lengthCm Schnittlaenge inkl. Haken
+ * @property {number[]} offsetsCm Lage entlang des Streifens ab Koerpermitte
+ */
+
+/**
+ * @typedef {Object} ReinforcedBody
+ * @property {number} footIndex
+ * @property {string} label
+ * @property {number} sizeXCm quer zum Fass (Stabrichtung der Laengsstaebe)
+ * @property {number} sizeYCm laengs zum Fass
+ * @property {number} depthCm
+ * @property {BarLayer} barsX Staebe in x-Richtung (Streifenlaenge)
+ * @property {BarLayer | null} barsY Staebe in y-Richtung (nur Punktfundamente, untere Matte)
+ * @property {StirrupSet | null} stirrups
+ */
+
+/**
+ * @typedef {Object} BarScheduleRow
+ * @property {number} position
+ * @property {"gerade"|"buegel"} shape
+ * @property {number} diameterMm
+ * @property {number} count
+ * @property {number} lengthCm
+ * @property {number} totalLengthM
+ * @property {number} weightKg
+ */
+
+/**
+ * @typedef {Object} ReinforcementPlan
+ * @property {ReinforcedBody[]} bodies
+ * @property {BarScheduleRow[]} schedule
+ * @property {number} totalWeightKg
+ * @property {string[]} warnings
+ */
+
+/**
+ * Regelbasierter Bewehrungsvorschlag je Fundamentkoerper:
+ * - Streifen: Laengsstaebe ueber die Streifenlaenge (footWidth), ab MIN_CAGE_DEPTH_CM Tiefe
+ *   als Korb mit oberer Lage und Buegeln.
+ * - Punktfundamente: untere Matte in beiden Richtungen.
+ * Gleiche Staebe (Form, Durchmesser, Laenge) teilen sich eine Position in der Stahlliste.
+ * @param {import("../domain/sauna.js").SaunaConfig} saunaConfig
+ * @returns {ReinforcementPlan}
+ */
+export function computeReinforcement(saunaConfig) {
+  const depthCm = Math.max(0, Number(saunaConfig.foundationDepth) || 0);
+  const schedule = createSchedule();
+  /** @type {ReinforcedBody[]} */
+  const bodies = [];
+  const skipped = [];
+
+  for (const spec of resolveFootSpecs(saunaConfig)) {
+    const { type, sizeX, sizeY } = spec.foundation;
+    const innerX = sizeX - 2 * CONCRETE_COVER_CM;
+    const innerY = sizeY - 2 * CONCRETE_COVER_CM;
+    const innerZ = depthCm - 2 * CONCRETE_COVER_CM;
+    if (innerX <= 0 || innerY <= 0 || innerZ <= 0) {
+      skipped.push(spec.index + 1);
+      continue;
+    }
+
+    const sideLabels = type === "point" ? ["links", "rechts"] : [""];
+    for (const side of sideLabels) {
+      const label = side ? `#${spec.index + 1} ${side}` : `#${spec.index + 1}`;
+      bodies.push(
+        type === "point"
+          ? planPad(schedule, { footIndex: spec.index, label, sizeX, sizeY, depthCm })
+          : planStrip(schedule, { footIndex: spec.index, label, sizeX, sizeY, depthCm })
+      );
+    }
+  }
+
+  const rows = schedule.rows();
+  return {
+    bodies,
+    schedule: rows,
+    totalWeightKg: rows.reduce((sum, row) => sum + row.weightKg, 0),
+    warnings: skipped.length > 0
+      ? [`Keine Bewehrung fuer Fuss ${skipped.join(", ")}: Fundament kleiner als die doppelte Betondeckung (${CONCRETE_COVER_CM} cm).`]
+      : [],
+  };
+}
+
+/**
+ * Einzeilige Zusammenfassung fuer die Planlegende.
+ * @param {ReinforcementPlan} plan
+ * @returns {string}
+ */
+export function formatReinforcementSummary(plan) {
+  if (plan.schedule.length === 0) {
+    return "Bewehrung: kein Vorschlag moeglich.";
+  }
+  return `Bewehrung (Vorschlag): ${formatKg(plan.totalWeightKg)} kg B500B, `
+    + `Betondeckung ${CONCRETE_COVER_CM} cm, siehe Stahlliste.`;
+}
+
+/**
+ * Stahlliste fuer Plan-Tab und PDF-Materialauszug.
+ * @param {ReinforcementPlan} plan
+ * @returns {{ heading:string, columns:string[], rows:string[][], footnote:string }}
+ */
+export function toBarScheduleTable(plan) {
+  const rows = plan.schedule.map((row) => [
+    String(row.position),
+    row.shape === "buegel" ? "Buegel" : "Stab gerade",
+    `${row.diameterMm}`,
+    String(row.count),
+    formatCm(row.lengthCm),
+    row.totalLengthM.toFixed(2),
+    formatKg(row.weightKg),
+  ]);
+  rows.push(["Summe", "", "", "", "", "", formatKg(plan.totalWeightKg)]);
+
+  return {
+    heading: "Stahlliste (Bewehrungsvorschlag)",
+    columns: ["Pos.", "Form", "Ø (mm)", "Anzahl", "Laenge (cm)", "Gesamt (m)", "Gewicht (kg)"],
+    rows,
+    footnote: `B500B, Betondeckung ${CONCRETE_COVER_CM} cm. Vorschlag ohne statischen Nachweis.`,
+  };
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+export function formatKg(value) {
+  return (Math.round((Number(value) || 0) * 10) / 10).toFixed(1);
+}
+
+function planStrip(schedule, { footIndex, label, sizeX, sizeY, depthCm }) {
+  const lengthCm = sizeX - 2 * CONCRETE_COVER_CM;
+  const innerWidth = sizeY - 2 * CONCRETE_COVER_CM;
+  const withCage = depthCm >= MIN_CAGE_DEPTH_CM;
+  const diameterMm = sizeX <= 200 ? 10 : sizeX <= 400 ? 12 : 14;
+  const stirrupDiameterMm = depthCm > 60 ? 8 : 6;
+
+  // Stabachsen liegen innerhalb der Buegel.
+  const barInset = withCage ? stirrupDiameterMm / 10 + diameterMm / 20 : diameterMm / 20;
+  const cageHeight = Math.min(depthCm - 2 * CONCRETE_COVER_CM, MAX_CAGE_HEIGHT_CM);
+  const heightsCm = withCage
+    ? [CONCRETE_COVER_CM + barInset, CONCRETE_COVER_CM + cageHeight - barInset]
+    : [CONCRETE_COVER_CM + barInset];
+  const offsetsCm = spreadEvenly(innerWidth - 2 * barInset, MAX_BAR_SPACING_CM, 2);
+
+  const barsX = {
+    position: schedule.add("gerade", diameterMm, lengthCm, offsetsCm.length * heightsCm.length),
+    diameterMm,
+    lengthCm,
+    offsetsCm,
+    heightsCm: heightsCm.map(round),
+  };
+
+  let stirrups = null;
+  if (withCage) {
+    const hookCm = Math.max(MIN_STIRRUP_HOOK_CM, stirrupDiameterMm);
+    const stirrupLength = round(2 * innerWidth + 2 * cageHeight + 2 * hookCm);
+    const stirrupOffsets = spreadEvenly(lengthCm, STIRRUP_SPACING_CM, 2);
+    stirrups = {
+      position: schedule.add("buegel", stirrupDiameterMm, stirrupLength, stirrupOffsets.length),
+      diameterMm: stirrupDiameterMm,
+      spacingCm: stirrupOffsets.length > 1 ? round(stirrupOffsets[1] - stirrupOffsets[0]) : 0,
+      widthCm: innerWidth,
+      heightCm: cageHeight,
+      bottomCm: CONCRETE_COVER_CM,
+      lengthCm: stirrupLength,
+      offsetsCm: stirrupOffsets,
+    };
+  }
+
+  return { footIndex, label, sizeXCm: sizeX, sizeYCm: sizeY, depthCm, barsX, barsY: null, stirrups };
+}
+
+function planPad(schedule, { footIndex, label, sizeX, sizeY, depthCm }) {
+  const diameterMm = 10;
+  const radius = diameterMm / 20;
+  const lengthX = sizeX - 2 * CONCRETE_COVER_CM;
+  const lengthY = sizeY - 2 * CONCRETE_COVER_CM;
+  const offsetsY = spreadEvenly(lengthY - 2 * radius, MESH_BAR_SPACING_CM, 3);
+  const offsetsX = spreadEvenly(lengthX - 2 * radius, MESH_BAR_SPACING_CM, 3);
+
+  // Untere Matte: x-Staebe zuunterst, y-Staebe direkt darauf.
+  const barsX = {
+    position: schedule.add("gerade", diameterMm, lengthX, offsetsY.length),
+    diameterMm,
+    lengthCm: lengthX,
+    offsetsCm: offsetsY,
+    heightsCm: [round(CONCRETE_COVER_CM + radius)],
+  };
+  const barsY = {
+    position: schedule.add("gerade", diameterMm, lengthY, offsetsX.length),
+    diameterMm,
+    lengthCm: lengthY,
+    offsetsCm: offsetsX,
+    heightsCm: [round(CONCRETE_COVER_CM + 3 * radius)],
+  };
+
+  return { footIndex, label, sizeXCm: sizeX, sizeYCm: sizeY, depthCm, barsX, barsY, stirrups: null };
+}
+
+function createSchedule() {
+  /** @type {Map<string, BarScheduleRow>} */
+  const byKey = new Map();
+  return {
+    add(shape, diameterMm, lengthCm, count) {
+      const key = `${shape}|${diameterMm}|${round(lengthCm)}`;
+      let row = byKey.get(key);
+      if (!row) {
+        row = { position: byKey.size + 1, shape, diameterMm, count: 0, lengthCm: round(lengthCm), totalLengthM: 0, weightKg: 0 };
+        byKey.set(key, row);
+      }
+      row.count += count;
+      row.totalLengthM = (row.count * row.lengthCm) / 100;
+      row.weightKg = row.totalLengthM * STEEL_KG_PER_M_PER_MM2 * diameterMm * diameterMm;
+      return row.position;
+    },
+    rows() {
+      return [...byKey.values()];
+    },
+  };
+}
+
+// Stablagen symmetrisch zur Mitte ueber die Spannweite, Abstand hoechstens maxSpacing.
+function spreadEvenly(span, maxSpacing, minCount) {
+  const count = Math.max(minCount, Math.ceil(Math.max(0, span) / maxSpacing) + 1);
+  const step = span / (count - 1);
+  return Array.from({ length: count }, (_, i) => round(-span / 2 + i * step));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,89 @@
+﻿export const REVISION_CONFLICT = "revision-conflict";
+
+const DEFAULT_BASE_URL = "./api";
+
+/**
+ * Sauna-Ablage auf dem Team-Server (scripts/dev-server.js, /api/saunas).
+ * Die Liste kommt ohne Bilder, get liefert ein Modell vollstaendig.
+ * Ein PUT mit veralteter revision scheitert mit error.code === REVISION_CONFLICT,
+ * error.current enthaelt dann den Stand auf dem Server.
+ * @param {string=} baseUrl
+ * @returns {import("./saunaStore.js").SaunaBackend}
+ */
+export function createRestBackend(baseUrl = DEFAULT_BASE_URL) {
+  const root = baseUrl.replace(/\/+$/, "");
+  const itemUrl = (id) => `${root}/saunas/${encodeURIComponent(id)}`;
+
+  return {
+    id: "server",
+    label: "Team-Server",
+    async list() {
+      const body = await request(`${root}/saunas`);
+      return Array.isArray(body?.saunas) ? body.saunas : [];
+    },
+    async get(id) {
+      try {
+        const body = await request(itemUrl(id));
+        return body?.sauna || null;
+      } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+      }
+    },
+    async put(sauna) {
+      await request(itemUrl(sauna.id), { method: "PUT", body: JSON.stringify(sauna) });
+    },
+    async remove(id) {
+      try {
+        await request(itemUrl(id), { method: "DELETE" });
+      } catch (error) {
+        if (error.status !== 404) throw error;
+      }
+    },
+    async replaceAll(saunas) {
+      await request(`${root}/saunas`, { method: "PUT", body: JSON.stringify({ saunas }) });
+    },
+  };
+}
+
+/**
+ * @param {string=} baseUrl
+ * @returns {Promise<boolean>}
+ */
+export async function checkServerHealth(baseUrl = DEFAULT_BASE_URL) {
+  try {
+    const body = await request(`${baseUrl.replace(/\/+$/, "")}/health`);
+    return body?.ok === true;
+  } catch {
+    return false;
+  }
+}
+
+async function request(url, options = {}) {
+  let response;
+  try {
+    response = await fetch(url, {
+      cache: "no-store",
+      ...options,
+      headers: options.body ? { "Content-Type": "application/json" } : undefined,
+    });
+  } catch (error) {
+    throw new Error(`Team-Server nicht erreichbar (${error.message}).`);
+  }
+
+  if (response.status === 204) {
+    return null;
+  }
+  const body = await response.json().catch(() => null);
+  if (response.ok) {
+    return body;
+  }
+
+  const error = new Error(body?.error || `Team-Server antwortet mit HTTP ${response.status}.`);
+  error.status = response.status;
+  if (response.status === 409) {
+    error.code = REVISION_CONFLICT;
+    error.current = body?.current || null;
+  }
+  throw error;
+}
@@ -1,12 +1,169 @@
-﻿import { sanitizeSauna } from "../domain/sauna.js";
+﻿import { nextRevision, sanitizeSauna } from "../domain/sauna.js";
 
 const DB_NAME = "sauna_planner_db";
-const DB_VERSION = 1;
 const SAUNAS_STORE = "saunas";
 const SETTINGS_STORE = "settings";
+const REVISIONS_STORE = "revisions";
+const IMAGES_STORE = "images";
+const OUTBOX_STORE = "outbox";
+const SYNC_BASE_STORE = "syncBase";
+const SEED_URL = "./data/saunas.json";
+const SEED_META_KEY = "seed";
+const MIGRATIONS_META_KEY = "migrations";
+
+const SORT_INDEXES = { name: "name", updatedAt: "updatedAt", barrelLength: "barrelLength" };
+const SORT_COMPARATORS = {
+  name: (a, b) => a.name.localeCompare(b.name, "de"),
+  updatedAt: (a, b) => b.updatedAt.localeCompare(a.updatedAt) || a.name.localeCompare(b.name, "de"),
+  barrelLength: (a, b) => a.config.barrelLength - b.config.barrelLength || a.name.localeCompare(b.name, "de"),
+};
+
+/**
+ * Bilder liegen getrennt von den Modellen, damit Liste und Suche keine Bilddaten laden.
+ * Sauna-Datensaetze und Revisionen verweisen ueber imageRefs auf ihre Bilder. Ein Bild bleibt gespeichert,
+ * solange das Modell existiert, damit auch aeltere Revisionen ihre Bilder wiederherstellen koennen.
+ * @typedef {Object} StoredImage
+ * @property {string} saunaId
+ * @property {string} id
+ * @property {number} order Position in sauna.images
+ * @property {Blob} blob
+ * @property {number} originalBytes
+ * @property {string} createdAt
+ * @property {string=} label
+ * @property {boolean} isPrimary
+ * @property {boolean} includeInExport
+ */
+
+/**
+ * Bildangaben eines Stands ohne Bilddaten; die Bilddaten liefert der StoredImage mit derselben id.
+ * Datensaetze ohne imageRefs stammen aus der Zeit vor dieser Angabe, dort gelten alle Bilder des Modells.
+ * @typedef {Object} ImageRef
+ * @property {string} id
+ * @property {number} originalBytes
+ * @property {string} createdAt
+ * @property {string=} label
+ * @property {boolean} isPrimary
+ * @property {boolean} includeInExport
+ */
+
+/**
+ * Lokale Aenderung, die noch zum Team-Server muss. Je Modell gibt es hoechstens einen Eintrag;
+ * spaetere Aenderungen ersetzen ihn, uebertragen wird immer der aktuelle lokale Stand.
+ * @typedef {Object} OutboxEntry
+ * @property {string} saunaId
+ * @property {"put"|"delete"} op
+ * @property {string} queuedAt
+ */
+
+/**
+ * Zuletzt mit dem Team-Server abgeglichener Stand eines Modells. Weicht der Server davon ab,
+ * wurde das Modell dort seit dem letzten Abgleich geaendert.
+ * @typedef {Object} SyncBase
+ * @property {string} saunaId
+ * @property {number} revision
+ * @property {string} updatedAt
+ */
+
+/**
+ * @typedef {Object} MigrationContext
+ * @property {IDBDatabase} database
+ * @property {IDBTransaction} transaction Upgrade-Transaktion
+ * @property {(storeName: string, visit: (cursor: IDBCursorWithValue) => void) => void} forEachRecord
+ *   Durchlaeuft alle Datensaetze eines Stores; ein Fehler in visit bricht das Upgrade ab.
+ */
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version Datenbankversion, ab der die Migration gilt
+ * @property {string} id
+ * @property {(context: MigrationContext) => void} run Darf nur synchron bzw. ueber Requests der Transaktion arbeiten.
+ */
+
+/**
+ * Schema- und Datenmigrationen, aufsteigend nach Version. Jede laeuft genau einmal in der Upgrade-Transaktion.
+ * Bestehende Eintraege nicht aendern, sondern eine neue Version anhaengen.
+ * @type {Migration[]}
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    id: "initial-stores",
+    run({ database, transaction }) {
+      const saunasStore = database.objectStoreNames.contains(SAUNAS_STORE)
+        ? transaction.objectStore(SAUNAS_STORE)
+        : database.createObjectStore(SAUNAS_STORE, { keyPath: "id" });
+      ensureIndex(saunasStore, "name", "name");
+      if (!database.objectStoreNames.contains(SETTINGS_STORE)) {
+        database.createObjectStore(SETTINGS_STORE, { keyPath: "key" });
+      }
+    },
+  },
+  {
+    version: 2,
+    id: "revisions-store",
+    run({ database, forEachRecord }) {
+      if (database.objectStoreNames.contains(REVISIONS_STORE)) return;
+      const revisionsStore = database.createObjectStore(REVISIONS_STORE, { keyPath: ["saunaId", "revision"] });
+      revisionsStore.createIndex("saunaId", "saunaId", { unique: false });
+
+      // Bestehende Modelle erhalten ihren aktuellen Stand als erste Revision. Die Bilder bleiben
+      // bis Version 4 im Stand enthalten und werden dort in den Bild-Store verschoben.
+      forEachRecord(SAUNAS_STORE, (cursor) => {
+        const sauna = sanitizeSauna(cursor.value);
+        revisionsStore.put({ saunaId: sauna.id, revision: sauna.revision, savedAt: sauna.updatedAt, snapshot: sauna });
+      });
+    },
+  },
+  {
+    version: 3,
+    id: "list-indexes",
+    // Suche, Sortierung und Tag-Filter der Modellliste.
+    run({ transaction }) {
+      const saunasStore = transaction.objectStore(SAUNAS_STORE);
+      ensureIndex(saunasStore, "updatedAt", "updatedAt");
+      ensureIndex(saunasStore, "barrelLength", "config.barrelLength");
+      ensureIndex(saunasStore, "tags", "tags", { multiEntry: true });
+    },
+  },
+  {
+    version: 4,
+    id: "images-blob-store",
+    run: migrateImagesToStore,
+  },
+  {
+    version: 5,
+    id: "sync-outbox",
+    // Warteschlange und Abgleichstand fuer den Offline-Abgleich mit dem Team-Server.
+    run({ database }) {
+      if (!database.objectStoreNames.contains(OUTBOX_STORE)) {
+        database.createObjectStore(OUTBOX_STORE, { keyPath: "saunaId" });
+      }
+      if (!database.objectStoreNames.contains(SYNC_BASE_STORE)) {
+        database.createObjectStore(SYNC_BASE_STORE, { keyPath: "saunaId" });
+      }
+    },
+  },
+];
+const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Alternative Ablage fuer Sauna-Datensaetze (z. B. services/restBackend.js).
+ * Revisionen, Einstellungen und Entwuerfe bleiben auch dann lokal in IndexedDB.
+ * @typedef {Object} SaunaBackend
+ * @property {string} id
+ * @property {string} label
+ * @property {() => Promise<object[]>} list Datensaetze ohne Bilder
+ * @property {(id: string) => Promise<object | null>} get Datensatz samt Bildern
+ * @property {(sauna: import("../domain/sauna.js").Sauna) => Promise<void>} put
+ * @property {(id: string) => Promise<void>} remove
+ * @property {(saunas: import("../domain/sauna.js").Sauna[]) => Promise<void>} replaceAll
+ */
 
 /** @type {IDBDatabase | null} */
 let db = null;
+/** @type {SaunaBackend | null} */
+let remoteBackend = null;
+let outboxEnabled = false;
 
 /**
  * @returns {Promise<void>}
@@ -17,49 +174,202 @@ export async function initStore() {
 }
 
 /**
- * @returns {Promise<import("../domain/sauna.js").Sauna[]>}
+ * Legt fest, wo die Sauna-Datensaetze liegen: null fuer IndexedDB in diesem Browser.
+ * @param {SaunaBackend | null} backend
+ */
+export function setSaunaBackend(backend) {
+  remoteBackend = backend;
+}
+
+/**
+ * @returns {string} "indexeddb" oder die id des gesetzten Backends
+ */
+export function getSaunaBackendId() {
+  return remoteBackend ? remoteBackend.id : "indexeddb";
+}
+
+/**
+ * Lokale Aenderungen zusaetzlich in die Warteschlange fuer den Abgleich (services/syncService.js) eintragen.
+ * Gilt nur fuer die Ablage in IndexedDB.
+ * @param {boolean} enabled
+ */
+export function setOutboxEnabled(enabled) {
+  outboxEnabled = enabled === true;
+}
+
+/**
+ * @typedef {Object} SeedState
+ * @property {number} version Zuletzt verarbeitete seedVersion aus data/saunas.json
+ * @property {Record<string, number>} revisions Revision je Standardmodell zum Zeitpunkt der Uebernahme
+ */
+
+/**
+ * Oeffnet die Datenbank und gleicht die mitgelieferten Standardmodelle ab.
+ * Beim ersten Start werden alle Standardmodelle eingefuegt. Bei einer neueren seedVersion
+ * werden unveraenderte Standardmodelle aktualisiert, neue Modelle nur angeboten (seedOffer).
+ * Vom Nutzer bearbeitete Modelle bleiben unangetastet. Mit einem Server-Backend entfaellt der Abgleich;
+ * den Team-Katalog legt der Server selbst aus data/saunas.json an.
+ * @returns {Promise<{ saunas: import("../domain/sauna.js").Sauna[], seedOffer: import("../domain/sauna.js").Sauna[], warnings: string[] }>}
  */
 export async function loadInitialData() {
   await initStore();
-  return getAll();
+  const warnings = [];
+  let seedOffer = [];
+
+  if (!remoteBackend) {
+    try {
+      const seed = await fetchSeed();
+      seedOffer = await applySeed(seed);
+    } catch (error) {
+      warnings.push(`Standardmodelle konnten nicht geladen werden: ${error.message}`);
+    }
+  }
+
+  return { saunas: await getAll(), seedOffer, warnings };
+}
+
+/**
+ * Uebernimmt angebotene Standardmodelle aus loadInitialData.
+ * @param {import("../domain/sauna.js").Sauna[]} saunas
+ * @returns {Promise<void>}
+ */
+export async function acceptSeedOffer(saunas) {
+  const seedState = await readSeedState();
+  for (const sauna of saunas) {
+    const sanitized = sanitizeSauna(sauna);
+    await putSauna(sanitized);
+    seedState.revisions[sanitized.id] = sanitized.revision;
+  }
+  await setMeta(SEED_META_KEY, seedState);
 }
 
 /**
+ * Alle Modelle, alphabetisch. Ohne includeImages ist images leer und imageCount gesetzt;
+ * Bilder eines Modells liefert getById.
+ * @param {{ includeImages?: boolean }=} options
  * @returns {Promise<import("../domain/sauna.js").Sauna[]>}
  */
-export async function getAll() {
+export async function getAll(options = {}) {
+  if (remoteBackend) {
+    const records = await remoteBackend.list();
+    if (options.includeImages) {
+      const list = await Promise.all(records.map(async (record) => (await remoteBackend.get(record.id)) || record));
+      return list.map((item) => sanitizeSauna(item)).sort((a, b) => a.name.localeCompare(b.name, "de"));
+    }
+    return records
+      .map((record) => ({ ...sanitizeSauna(record), imageCount: Math.max(0, Number(record.imageCount) || 0) }))
+      .sort((a, b) => a.name.localeCompare(b.name, "de"));
+  }
+
   const database = await requireDb();
-  return new Promise((resolve, reject) => {
+  const records = await new Promise((resolve, reject) => {
     const tx = database.transaction(SAUNAS_STORE, "readonly");
     const store = tx.objectStore(SAUNAS_STORE);
     const request = store.getAll();
 
+    request.onsuccess = () => resolve(Array.isArray(request.result) ? request.result : []);
+    request.onerror = () => reject(request.error || new Error("Fehler beim Lesen der Sauna-Liste."));
+  });
+
+  const list = options.includeImages
+    ? await Promise.all(records.map((record) => withStoredImages(database, record)))
+    : toListRecords(records, await readImageCounts(database));
+  return list.sort((a, b) => a.name.localeCompare(b.name, "de"));
+}
+
+/**
+ * @typedef {Object} SaunaQuery
+ * @property {string=} text Freitext, sucht in Name und Tags (ohne Gross-/Kleinschreibung)
+ * @property {string=} tag Nur Modelle mit genau diesem Tag
+ * @property {"name"|"updatedAt"|"barrelLength"=} sortBy "updatedAt": neueste zuerst
+ */
+
+/**
+ * Gefilterte und sortierte Modellliste fuer die Seitenleiste.
+ * Tag-Filter und Sortierung laufen ueber die Indizes des Stores, der Freitext wird danach gefiltert.
+ * @param {SaunaQuery=} query
+ * @returns {Promise<import("../domain/sauna.js").Sauna[]>}
+ */
+export async function querySaunas(query = {}) {
+  const sortBy = SORT_INDEXES[query.sortBy] ? query.sortBy : "name";
+  const tag = typeof query.tag === "string" ? query.tag : "";
+  const text = typeof query.text === "string" ? query.text.trim().toLocaleLowerCase("de") : "";
+
+  let list;
+  if (remoteBackend) {
+    // Der Server kennt keine Indizes; die Liste ist klein genug fuer einen Filter im Browser.
+    list = (await getAll()).filter((sauna) => !tag || sauna.tags.includes(tag));
+  } else {
+    const database = await requireDb();
+    const records = await new Promise((resolve, reject) => {
+      const tx = database.transaction(SAUNAS_STORE, "readonly");
+      const store = tx.objectStore(SAUNAS_STORE);
+      const request = tag ? store.index("tags").getAll(tag) : store.index(SORT_INDEXES[sortBy]).getAll();
+      request.onsuccess = () => resolve(Array.isArray(request.result) ? request.result : []);
+      request.onerror = () => reject(request.error || new Error("Fehler beim Durchsuchen der Sauna-Liste."));
+    });
+    list = toListRecords(records, await readImageCounts(database));
+  }
+
+  if (text) {
+    list = list.filter((sauna) => [sauna.name, ...sauna.tags].some((value) => value.toLocaleLowerCase("de").includes(text)));
+  }
+  // Der Tag-Index liefert nach Tag sortiert; Namen vergleicht der Index ausserdem nur binaer.
+  return list.sort(SORT_COMPARATORS[sortBy]);
+}
+
+/**
+ * Alle vergebenen Tags, alphabetisch.
+ * @returns {Promise<string[]>}
+ */
+export async function getAllTags() {
+  if (remoteBackend) {
+    const tags = new Set((await getAll()).flatMap((sauna) => sauna.tags));
+    return [...tags].sort((a, b) => a.localeCompare(b, "de"));
+  }
+
+  const database = await requireDb();
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(SAUNAS_STORE, "readonly");
+    const request = tx.objectStore(SAUNAS_STORE).index("tags").openKeyCursor(null, "nextunique");
+    const tags = [];
     request.onsuccess = () => {
-      const list = Array.isArray(request.result) ? request.result : [];
-      const sanitized = list.map((item) => sanitizeSauna(item));
-      sanitized.sort((a, b) => a.name.localeCompare(b.name, "de"));
-      resolve(sanitized);
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(tags.sort((a, b) => a.localeCompare(b, "de")));
+        return;
+      }
+      tags.push(String(cursor.key));
+      cursor.continue();
     };
-    request.onerror = () => reject(request.error || new Error("Fehler beim Lesen der Sauna-Liste."));
+    request.onerror = () => reject(request.error || new Error("Fehler beim Lesen der Tags."));
   });
 }
 
 /**
+ * Laedt ein Modell samt Bildern.
  * @param {string} id
  * @returns {Promise<import("../domain/sauna.js").Sauna | null>}
  */
 export async function getById(id) {
+  if (remoteBackend) {
+    const record = await remoteBackend.get(id);
+    return record ? sanitizeSauna(record) : null;
+  }
+
   const database = await requireDb();
-  return new Promise((resolve, reject) => {
+  const record = await new Promise((resolve, reject) => {
     const tx = database.transaction(SAUNAS_STORE, "readonly");
     const store = tx.objectStore(SAUNAS_STORE);
     const request = store.get(id);
-    request.onsuccess = () => resolve(request.result ? sanitizeSauna(request.result) : null);
+    request.onsuccess = () => resolve(request.result || null);
     request.onerror = () => reject(request.error || new Error("Fehler beim Lesen des Sauna-Datensatzes."));
   });
+  return record ? withStoredImages(database, record) : null;
 }
 
 /**
+ * Speichert das Modell; die Bilder des Modells werden durch sauna.images ersetzt.
  * @param {import("../domain/sauna.js").Sauna} sauna
  * @returns {Promise<void>}
  */
@@ -69,37 +379,129 @@ export async function upsert(sauna) {
 }
 
 /**
+ * Loescht das Modell samt Revisionshistorie und Bildern.
  * @param {string} id
  * @returns {Promise<void>}
  */
 export async function remove(id) {
+  if (remoteBackend) {
+    await remoteBackend.remove(id);
+    await updateLocalRevisions([], (saunaId) => saunaId !== id);
+    return;
+  }
+
   const database = await requireDb();
   await new Promise((resolve, reject) => {
-    const tx = database.transaction(SAUNAS_STORE, "readwrite");
+    const tx = database.transaction(writeStores(SAUNAS_STORE, REVISIONS_STORE, IMAGES_STORE), "readwrite");
     tx.oncomplete = () => resolve(undefined);
     tx.onerror = () => reject(tx.error || new Error("Fehler beim Loeschen des Datensatzes."));
     tx.objectStore(SAUNAS_STORE).delete(id);
+    deleteRecordsWhere(tx.objectStore(REVISIONS_STORE).index("saunaId"), () => true, id);
+    tx.objectStore(IMAGES_STORE).delete(imageRange(id));
+    queueChange(tx, id, "delete");
   });
 }
 
 /**
+ * Ersetzt den gesamten Bestand einschliesslich aller Bilder. Fuer den Katalogimport
+ * muessen die vorhandenen Modelle daher mit getAll({ includeImages: true }) gelesen werden.
  * @param {import("../domain/sauna.js").Sauna[]} saunas
  * @returns {Promise<void>}
  */
 export async function replaceAll(saunas) {
+  const sanitizedList = saunas.map((sauna) => sanitizeSauna(sauna));
+  if (remoteBackend) {
+    const keptIds = new Set(sanitizedList.map((sauna) => sauna.id));
+    await remoteBackend.replaceAll(sanitizedList);
+    await updateLocalRevisions(sanitizedList, (saunaId) => keptIds.has(saunaId));
+    return;
+  }
+
   const database = await requireDb();
+  const imageRecords = sanitizedList.flatMap((sauna) => toStoredImages(sauna));
   await new Promise((resolve, reject) => {
-    const tx = database.transaction(SAUNAS_STORE, "readwrite");
+    const tx = database.transaction(writeStores(SAUNAS_STORE, REVISIONS_STORE, IMAGES_STORE), "readwrite");
     const store = tx.objectStore(SAUNAS_STORE);
+    const revisions = tx.objectStore(REVISIONS_STORE);
+    const images = tx.objectStore(IMAGES_STORE);
+    const keptIds = new Set();
+    if (outboxEnabled) {
+      // Die Schluessel werden vor clear() gelesen; weggefallene Modelle muessen auch auf dem Server geloescht werden.
+      const request = store.getAllKeys();
+      request.onsuccess = () => {
+        for (const id of request.result) {
+          if (!keptIds.has(id)) queueChange(tx, String(id), "delete");
+        }
+      };
+    }
     store.clear();
-    for (const sauna of saunas) {
-      store.put(sanitizeSauna(sauna));
+    for (const sanitized of sanitizedList) {
+      store.put(withoutImages(sanitized));
+      revisions.put(createRevisionEntry(sanitized));
+      queueChange(tx, sanitized.id, "put");
+      keptIds.add(sanitized.id);
     }
+    for (const record of imageRecords) {
+      images.put(record);
+    }
+    // Bilder bleiben fuer die Revisionen der uebernommenen Modelle erhalten.
+    deleteRecordsWhere(revisions, (saunaId) => !keptIds.has(saunaId));
+    deleteRecordsWhere(images, (saunaId) => !keptIds.has(saunaId));
     tx.oncomplete = () => resolve(undefined);
     tx.onerror = () => reject(tx.error || new Error("Fehler beim Ersetzen der Datensaetze."));
   });
 }
 
+/**
+ * @typedef {Object} RevisionEntry
+ * @property {string} saunaId
+ * @property {number} revision
+ * @property {string} savedAt
+ * @property {import("../domain/sauna.js").Sauna} snapshot Ohne Bilder, ausser bei getRevision
+ * @property {boolean=} includesImages Nur getRevision: false bei Revisionen ohne gespeicherte Bildangaben
+ */
+
+/**
+ * Alle gespeicherten Revisionen eines Modells, neueste zuerst.
+ * @param {string} saunaId
+ * @returns {Promise<RevisionEntry[]>}
+ */
+export async function getRevisions(saunaId) {
+  const database = await requireDb();
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(REVISIONS_STORE, "readonly");
+    const request = tx.objectStore(REVISIONS_STORE).index("saunaId").getAll(saunaId);
+    request.onsuccess = () => {
+      const list = Array.isArray(request.result) ? request.result : [];
+      const entries = list.map((entry) => ({ ...entry, snapshot: sanitizeSauna(entry.snapshot) }));
+      entries.sort((a, b) => b.revision - a.revision);
+      resolve(entries);
+    };
+    request.onerror = () => reject(request.error || new Error("Fehler beim Lesen der Revisionen."));
+  });
+}
+
+/**
+ * @param {string} saunaId
+ * @param {number} revision
+ * @returns {Promise<RevisionEntry | null>}
+ */
+export async function getRevision(saunaId, revision) {
+  const database = await requireDb();
+  const entry = await new Promise((resolve, reject) => {
+    const tx = database.transaction(REVISIONS_STORE, "readonly");
+    const request = tx.objectStore(REVISIONS_STORE).get([saunaId, revision]);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error || new Error("Fehler beim Lesen der Revision."));
+  });
+  if (!entry) {
+    return null;
+  }
+  const includesImages = Array.isArray(entry.snapshot?.imageRefs);
+  const snapshot = includesImages ? await withStoredImages(database, entry.snapshot) : sanitizeSauna(entry.snapshot);
+  return { ...entry, snapshot, includesImages };
+}
+
 /**
  * @param {string} key
  * @returns {Promise<any>}
@@ -129,16 +531,491 @@ export async function setMeta(key, value) {
   });
 }
 
+/**
+ * Wartende lokale Aenderungen, aelteste zuerst.
+ * @returns {Promise<OutboxEntry[]>}
+ */
+export async function getOutbox() {
+  const list = await readAllFrom(OUTBOX_STORE, "Fehler beim Lesen der Abgleich-Warteschlange.");
+  return list.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+}
+
+/**
+ * @returns {Promise<SyncBase[]>}
+ */
+export async function getSyncBases() {
+  return readAllFrom(SYNC_BASE_STORE, "Fehler beim Lesen des Abgleichstands.");
+}
+
+/**
+ * @typedef {Object} SyncCommit
+ * @property {import("../domain/sauna.js").Sauna | null=} sauna Neuer lokaler Stand; null loescht das Modell,
+ *   ohne Angabe bleibt der lokale Datensatz unveraendert.
+ * @property {{ revision: number, updatedAt: string } | null} base Neuer Abgleichstand, null entfernt ihn
+ * @property {string=} queuedAt Warteschlangeneintrag, auf dem der Abgleich beruhte
+ */
+
+/**
+ * Uebernimmt das Ergebnis eines Abgleichs fuer ein Modell in einer Transaktion, ohne die Aenderung
+ * erneut in die Warteschlange einzutragen. Wurde das Modell waehrenddessen lokal weiter geaendert
+ * (anderer oder neuer Warteschlangeneintrag als queuedAt), bleibt alles unveraendert.
+ * @param {string} saunaId
+ * @param {SyncCommit} commit
+ * @returns {Promise<boolean>} false, wenn eine neuere lokale Aenderung Vorrang hatte
+ */
+export async function commitSyncResult(saunaId, commit) {
+  const database = await requireDb();
+  const sauna = commit.sauna ? sanitizeSauna(commit.sauna) : commit.sauna;
+  const imageRecords = sauna ? toStoredImages(sauna) : [];
+
+  return new Promise((resolve, reject) => {
+    let applied = false;
+    const tx = database.transaction(
+      [SAUNAS_STORE, REVISIONS_STORE, IMAGES_STORE, OUTBOX_STORE, SYNC_BASE_STORE],
+      "readwrite"
+    );
+    tx.oncomplete = () => resolve(applied);
+    tx.onerror = () => reject(tx.error || new Error("Fehler beim Uebernehmen des Abgleichs."));
+
+    const outbox = tx.objectStore(OUTBOX_STORE);
+    const request = outbox.get(saunaId);
+    request.onsuccess = () => {
+      if ((request.result?.queuedAt || undefined) !== commit.queuedAt) return;
+      applied = true;
+      outbox.delete(saunaId);
+
+      const bases = tx.objectStore(SYNC_BASE_STORE);
+      if (commit.base) {
+        bases.put({ saunaId, revision: commit.base.revision, updatedAt: commit.base.updatedAt });
+      } else {
+        bases.delete(saunaId);
+      }
+
+      const images = tx.objectStore(IMAGES_STORE);
+      if (sauna) {
+        tx.objectStore(SAUNAS_STORE).put(withoutImages(sauna));
+        tx.objectStore(REVISIONS_STORE).put(createRevisionEntry(sauna));
+        for (const record of imageRecords) {
+          images.put(record);
+        }
+      } else if (sauna === null) {
+        tx.objectStore(SAUNAS_STORE).delete(saunaId);
+        deleteRecordsWhere(tx.objectStore(REVISIONS_STORE).index("saunaId"), () => true, saunaId);
+        images.delete(imageRange(saunaId));
+      }
+    };
+  });
+}
+
+async function fetchSeed() {
+  const response = await fetch(SEED_URL, { cache: "no-cache" });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const raw = await response.json();
+  const list = Array.isArray(raw?.saunas) ? raw.saunas : [];
+  const version = Number.isFinite(Number(raw?.seedVersion)) ? Number(raw.seedVersion) : 0;
+  return { version, saunas: list.map((item) => sanitizeSauna(item)) };
+}
+
+async function applySeed(seed) {
+  const seedState = await readSeedState();
+  if (seedState.version >= seed.version) {
+    return [];
+  }
+
+  const existing = await getAll();
+  const existingById = new Map(existing.map((sauna) => [sauna.id, sauna]));
+  const isFirstRun = seedState.version === 0 && existing.length === 0;
+  const offer = [];
+
+  for (const seedSauna of seed.saunas) {
+    const current = existingById.get(seedSauna.id);
+    if (!current) {
+      if (isFirstRun) {
+        await putSauna(seedSauna);
+        seedState.revisions[seedSauna.id] = seedSauna.revision;
+      } else {
+        offer.push(seedSauna);
+      }
+      continue;
+    }
+
+    // Nur Modelle, die seit der letzten Uebernahme nicht gespeichert wurden, duerfen ersetzt werden.
+    if (seedState.revisions[current.id] === current.revision) {
+      const updated = nextRevision({ ...seedSauna, createdAt: current.createdAt, revision: current.revision });
+      await putSauna(updated);
+      seedState.revisions[current.id] = updated.revision;
+    }
+  }
+
+  seedState.version = seed.version;
+  await setMeta(SEED_META_KEY, seedState);
+  return offer;
+}
+
+/**
+ * @returns {Promise<SeedState>}
+ */
+async function readSeedState() {
+  const stored = await getMeta(SEED_META_KEY);
+  return {
+    version: Number.isFinite(Number(stored?.version)) ? Number(stored.version) : 0,
+    revisions: stored && typeof stored.revisions === "object" && stored.revisions ? { ...stored.revisions } : {},
+  };
+}
+
 async function putSauna(sauna) {
+  if (remoteBackend) {
+    await remoteBackend.put(sauna);
+    await updateLocalRevisions([sauna]);
+    return;
+  }
+
   const database = await requireDb();
+  const imageRecords = toStoredImages(sauna);
   await new Promise((resolve, reject) => {
-    const tx = database.transaction(SAUNAS_STORE, "readwrite");
-    tx.objectStore(SAUNAS_STORE).put(sauna);
+    const tx = database.transaction(writeStores(SAUNAS_STORE, REVISIONS_STORE, IMAGES_STORE), "readwrite");
+    tx.objectStore(SAUNAS_STORE).put(withoutImages(sauna));
+    tx.objectStore(REVISIONS_STORE).put(createRevisionEntry(sauna));
+    const images = tx.objectStore(IMAGES_STORE);
+    for (const record of imageRecords) {
+      images.put(record);
+    }
+    queueChange(tx, sauna.id, "put");
     tx.oncomplete = () => resolve(undefined);
     tx.onerror = () => reject(tx.error || new Error("Fehler beim Speichern des Datensatzes."));
   });
 }
 
+// Mit aktivierter Warteschlange schreibt jede lokale Aenderung auch in den Outbox-Store.
+function writeStores(...storeNames) {
+  return outboxEnabled ? [...storeNames, OUTBOX_STORE] : storeNames;
+}
+
+function queueChange(tx, saunaId, op) {
+  if (!outboxEnabled) return;
+  tx.objectStore(OUTBOX_STORE).put({ saunaId, op, queuedAt: new Date().toISOString() });
+}
+
+async function readAllFrom(storeName, errorMessage) {
+  const database = await requireDb();
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(storeName, "readonly");
+    const request = tx.objectStore(storeName).getAll();
+    request.onsuccess = () => resolve(Array.isArray(request.result) ? request.result : []);
+    request.onerror = () => reject(request.error || new Error(errorMessage));
+  });
+}
+
+/**
+ * Revisionen fuer Modelle auf einem Server-Backend; sie bleiben samt Bildern lokal in diesem Browser.
+ * @param {import("../domain/sauna.js").Sauna[]} saunas neue Revisionen
+ * @param {(saunaId: string) => boolean=} keep Revisionen anderer Modelle nur behalten, wenn keep true liefert
+ */
+async function updateLocalRevisions(saunas, keep) {
+  const database = await requireDb();
+  const imageRecords = saunas.flatMap((sauna) => toStoredImages(sauna));
+  await new Promise((resolve, reject) => {
+    const tx = database.transaction([REVISIONS_STORE, IMAGES_STORE], "readwrite");
+    const revisions = tx.objectStore(REVISIONS_STORE);
+    const images = tx.objectStore(IMAGES_STORE);
+    for (const sauna of saunas) {
+      revisions.put(createRevisionEntry(sauna));
+    }
+    for (const record of imageRecords) {
+      images.put(record);
+    }
+    if (keep) {
+      deleteRecordsWhere(revisions, (saunaId) => !keep(saunaId));
+      deleteRecordsWhere(images, (saunaId) => !keep(saunaId));
+    }
+    tx.oncomplete = () => resolve(undefined);
+    tx.onerror = () => reject(tx.error || new Error("Fehler beim Speichern der Revisionen."));
+  });
+}
+
+/**
+ * @param {import("../domain/sauna.js").Sauna} sauna
+ * @returns {RevisionEntry}
+ */
+function createRevisionEntry(sauna) {
+  return {
+    saunaId: sauna.id,
+    revision: sauna.revision,
+    savedAt: sauna.updatedAt,
+    snapshot: withoutImages(sauna),
+  };
+}
+
+// Gespeicherte Form von Modell und Revision: Bildangaben als imageRefs, Bilddaten im Bild-Store.
+function withoutImages(sauna) {
+  return { ...sauna, images: [], imageRefs: toImageRefs(sauna.images) };
+}
+
+/**
+ * @param {import("../domain/sauna.js").SaunaImage[]} images
+ * @returns {ImageRef[]}
+ */
+function toImageRefs(images) {
+  return images.map((image) => ({
+    id: image.id,
+    originalBytes: image.originalBytes,
+    createdAt: image.createdAt,
+    label: image.label,
+    isPrimary: image.isPrimary,
+    includeInExport: image.includeInExport,
+  }));
+}
+
+/**
+ * @param {import("../domain/sauna.js").Sauna} sauna
+ * @returns {StoredImage[]}
+ */
+function toStoredImages(sauna) {
+  return sauna.images.map((image, order) => ({
+    saunaId: sauna.id,
+    id: image.id,
+    order,
+    blob: dataUrlToBlob(image.dataUrl),
+    originalBytes: image.originalBytes,
+    createdAt: image.createdAt,
+    label: image.label,
+    isPrimary: image.isPrimary,
+    includeInExport: image.includeInExport,
+  }));
+}
+
+/**
+ * @param {IDBDatabase} database
+ * @param {string} saunaId
+ * @returns {Promise<StoredImage[]>}
+ */
+function readImages(database, saunaId) {
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(IMAGES_STORE, "readonly");
+    const request = tx.objectStore(IMAGES_STORE).getAll(imageRange(saunaId));
+    request.onsuccess = () => {
+      const list = Array.isArray(request.result) ? request.result : [];
+      resolve(list.sort((a, b) => a.order - b.order));
+    };
+    request.onerror = () => reject(request.error || new Error("Fehler beim Lesen der Bilder."));
+  });
+}
+
+/**
+ * Bildanzahl je Modell; liest nur die Schluessel, keine Bilddaten.
+ * @param {IDBDatabase} database
+ * @returns {Promise<Map<string, number>>}
+ */
+function readImageCounts(database) {
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(IMAGES_STORE, "readonly");
+    const request = tx.objectStore(IMAGES_STORE).getAllKeys();
+    request.onsuccess = () => {
+      const counts = new Map();
+      for (const [saunaId] of request.result) {
+        counts.set(saunaId, (counts.get(saunaId) || 0) + 1);
+      }
+      resolve(counts);
+    };
+    request.onerror = () => reject(request.error || new Error("Fehler beim Zaehlen der Bilder."));
+  });
+}
+
+// Listeneintraege ohne Bilddaten; aeltere Datensaetze ohne imageRefs zaehlen alle Bilder des Modells.
+function toListRecords(records, counts) {
+  return records.map((record) => {
+    const sauna = sanitizeSauna(record);
+    const imageCount = Array.isArray(record.imageRefs) ? record.imageRefs.length : counts.get(sauna.id) || 0;
+    return { ...sauna, imageCount };
+  });
+}
+
+/**
+ * Gespeicherter Stand (Modell oder Revision) mit den Bildern, auf die seine imageRefs verweisen.
+ * @param {IDBDatabase} database
+ * @param {object} record
+ * @returns {Promise<import("../domain/sauna.js").Sauna>}
+ */
+async function withStoredImages(database, record) {
+  const sauna = sanitizeSauna(record);
+  const stored = await readImages(database, sauna.id);
+  if (!Array.isArray(record.imageRefs)) {
+    return attachImages(sauna, stored);
+  }
+  const byId = new Map(stored.map((image) => [image.id, image]));
+  const referenced = record.imageRefs.filter((ref) => byId.has(ref.id)).map((ref) => ({ ...byId.get(ref.id), ...ref }));
+  return attachImages(sauna, referenced);
+}
+
+// Die Bilddaten werden erst nach Abschluss der Transaktion in Data-URLs umgewandelt.
+async function attachImages(sauna, records) {
+  if (records.length === 0) {
+    return sauna;
+  }
+  const images = await Promise.all(
+    records.map(async (record) => ({
+      id: record.id,
+      dataUrl: await blobToDataUrl(record.blob),
+      mimeType: record.blob.type,
+      bytes: record.blob.size,
+      originalBytes: record.originalBytes,
+      createdAt: record.createdAt,
+      label: record.label,
+      isPrimary: record.isPrimary,
+      includeInExport: record.includeInExport,
+    }))
+  );
+  return sanitizeSauna({ ...sauna, images });
+}
+
+// Alle Bilder eines Modells: Schluessel [saunaId, imageId].
+function imageRange(saunaId) {
+  return IDBKeyRange.bound([saunaId], [saunaId, []]);
+}
+
+// Synchron, damit die Umwandlung auch innerhalb der Upgrade-Transaktion laeuft.
+function dataUrlToBlob(dataUrl) {
+  const [header, data] = dataUrl.split(",", 2);
+  const mimeType = /^data:([^;,]+)/.exec(header)?.[1] || "application/octet-stream";
+  const binary = atob(data || "");
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mimeType });
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onerror = () => reject(new Error("FileReader-Fehler"));
+    reader.onload = () => resolve(String(reader.result || ""));
+    reader.readAsDataURL(blob);
+  });
+}
+
+function deleteRecordsWhere(source, predicate, range) {
+  const request = source.openCursor(range);
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+    if (predicate(cursor.value.saunaId)) {
+      cursor.delete();
+    }
+    cursor.continue();
+  };
+}
+
+/**
+ * Version 4: Bilder aus Sauna-Datensaetzen und Revisionen als Blobs in den Bild-Store verschieben;
+ * Datensaetze und Revisionen behalten nur die imageRefs. Gleiche Bilddaten eines Modells werden
+ * nur einmal gespeichert, auch wenn sie (als altes imageDataUrl) keine feste id hatten.
+ * @param {MigrationContext} context
+ */
+function migrateImagesToStore({ database, forEachRecord }) {
+  if (database.objectStoreNames.contains(IMAGES_STORE)) return;
+  const imagesStore = database.createObjectStore(IMAGES_STORE, { keyPath: ["saunaId", "id"] });
+  const idsByContent = new Map();
+
+  const moveImages = (raw) => {
+    const sauna = sanitizeSauna(upgradeLegacyImage(raw));
+    const images = sauna.images.map((image) => {
+      const key = `${sauna.id}\n${image.dataUrl}`;
+      if (!idsByContent.has(key)) idsByContent.set(key, image.id);
+      return { ...image, id: idsByContent.get(key) };
+    });
+    for (const record of toStoredImages({ ...sauna, images })) {
+      imagesStore.put(record);
+    }
+    return { ...sauna, images };
+  };
+
+  forEachRecord(SAUNAS_STORE, (cursor) => {
+    cursor.update(withoutImages(moveImages(cursor.value)));
+  });
+
+  forEachRecord(REVISIONS_STORE, (cursor) => {
+    const snapshot = moveImages({ ...cursor.value.snapshot, id: cursor.value.saunaId });
+    cursor.update({ ...cursor.value, snapshot: withoutImages(snapshot) });
+  });
+}
+
+// Bis Version 3 konnte ein Modell noch ein einzelnes Bild als imageDataUrl tragen.
+function upgradeLegacyImage(record) {
+  const upgraded = { ...record };
+  delete upgraded.imageDataUrl;
+  const hasImages = Array.isArray(record.images) && record.images.length > 0;
+  if (hasImages || typeof record.imageDataUrl !== "string") {
+    return upgraded;
+  }
+  return { ...upgraded, images: [{ dataUrl: record.imageDataUrl, createdAt: record.updatedAt }] };
+}
+
+/**
+ * Fuehrt alle Migrationen oberhalb von oldVersion der Reihe nach aus und protokolliert sie
+ * im Settings-Store. Die Protokollzeile wird in derselben Transaktion geschrieben und faellt
+ * bei einem Abbruch mit weg.
+ * @param {IDBDatabase} database
+ * @param {IDBTransaction} transaction
+ * @param {number} oldVersion
+ * @param {(migration: Migration, error: Error) => void} fail
+ */
+function runMigrations(database, transaction, oldVersion, fail) {
+  const applied = [];
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= oldVersion) continue;
+    const failMigration = (error) => fail(migration, error);
+    try {
+      migration.run(createMigrationContext(database, transaction, failMigration));
+    } catch (error) {
+      failMigration(error);
+      return;
+    }
+    applied.push({ version: migration.version, id: migration.id, appliedAt: new Date().toISOString() });
+  }
+
+  const settings = transaction.objectStore(SETTINGS_STORE);
+  const request = settings.get(MIGRATIONS_META_KEY);
+  request.onsuccess = () => {
+    const previous = Array.isArray(request.result?.value) ? request.result.value : [];
+    settings.put({ key: MIGRATIONS_META_KEY, value: [...previous, ...applied] });
+  };
+}
+
+/**
+ * @param {IDBDatabase} database
+ * @param {IDBTransaction} transaction
+ * @param {(error: Error) => void} fail
+ * @returns {MigrationContext}
+ */
+function createMigrationContext(database, transaction, fail) {
+  return {
+    database,
+    transaction,
+    forEachRecord(storeName, visit) {
+      const request = transaction.objectStore(storeName).openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        try {
+          visit(cursor);
+          cursor.continue();
+        } catch (error) {
+          fail(error);
+        }
+      };
+    },
+  };
+}
+
+function ensureIndex(store, name, keyPath, options = {}) {
+  if (!store.indexNames.contains(name)) {
+    store.createIndex(name, keyPath, { unique: false, ...options });
+  }
+}
+
 async function requireDb() {
   await initStore();
   if (!db) {
@@ -149,20 +1026,21 @@ async function requireDb() {
 
 function openDatabase() {
   return new Promise((resolve, reject) => {
+    /** @type {Error | null} */
+    let failure = null;
     const request = window.indexedDB.open(DB_NAME, DB_VERSION);
 
-    request.onerror = () => reject(request.error || new Error("IndexedDB konnte nicht geoeffnet werden."));
+    request.onerror = () => reject(failure || request.error || new Error("IndexedDB konnte nicht geoeffnet werden."));
     request.onupgradeneeded = (event) => {
-      const database = event.target.result;
-      if (!database.objectStoreNames.contains(SAUNAS_STORE)) {
-        const saunasStore = database.createObjectStore(SAUNAS_STORE, { keyPath: "id" });
-        saunasStore.createIndex("name", "name", { unique: false });
-      }
-      if (!database.objectStoreNames.contains(SETTINGS_STORE)) {
-        database.createObjectStore(SETTINGS_STORE, { keyPath: "key" });
-      }
+      runMigrations(request.result, request.transaction, event.oldVersion, (migration, error) => {
+        if (failure) return;
+        // Abbruch verwirft die gesamte Upgrade-Transaktion; die Datenbank bleibt auf der alten Version.
+        failure = new Error(
+          `Datenbank-Migration ${migration.version} (${migration.id}) fehlgeschlagen: ${error.message}. Daten wurden nicht veraendert.`
+        );
+        request.transaction.abort();
+      });
     };
     request.onsuccess = () => resolve(request.result);
   });
 }
-
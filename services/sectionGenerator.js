@@ -0,0 +1,351 @@
+﻿import { computeFirstFootOffset, computeFootCenters, resolveFootSpecs } from "../domain/footGeometry.js";
+import {
+  DEFAULT_DIM_TEXT_FONT_SIZE_PX,
+  SVG_NS,
+  cm,
+  createBounds,
+  createDefs,
+  createEl,
+  createLayerStyle,
+  drawDimension,
+  estimateTextWidth,
+  formatCm,
+} from "./svgPrimitives.js";
+
+// Die Fusshoehe ist nicht Teil der Konfiguration und wird im Schnitt nur schematisch angenommen.
+const SCHEMATIC_FOOT_HEIGHT_CM = 15;
+const SOIL_MARGIN_CM = 30;
+
+const SECTION_CSS = `
+    .layer-soil rect {
+      fill: #ede4d3;
+      stroke: none;
+    }
+    .layer-rebar line, .layer-rebar rect {
+      fill: none;
+      stroke: #ef4444;
+      stroke-width: 2.4;
+      vector-effect: non-scaling-stroke;
+    }
+    .layer-rebar circle {
+      fill: #ef4444;
+      stroke: none;
+    }
+    .layer-ground line {
+      stroke: #78350f;
+      stroke-width: 3;
+      vector-effect: non-scaling-stroke;
+    }
+  `;
+
+/**
+ * @typedef {"longitudinal"|"transverse"} SectionView
+ */
+
+/**
+ * Schnitt durch Fundament, Fuss und Fass:
+ * - "longitudinal": Laengsschnitt entlang der Fassachse, zeigt alle Fundamentstreifen.
+ * - "transverse": Querschnitt durch den ersten Fuss, zeigt den Streifen bzw. beide Punktfundamente ueber die Fussbreite.
+ * Y-Achse im SVG nach unten, Gelaendeoberkante (GOK) liegt bei y = 0.
+ * Mit options.reinforcement werden die vorgeschlagenen Staebe und Buegel in die Fundamente gezeichnet.
+ * @param {import("../domain/sauna.js").SaunaConfig} saunaConfig
+ * @param {{
+ *   view?: SectionView,
+ *   title?: string,
+ *   typography?: { dimTextFontSizePx?: number },
+ *   reinforcement?: import("./reinforcementPlanner.js").ReinforcementPlan
+ * }=} options
+ * @returns {{
+ *   svgElement: SVGSVGElement,
+ *   view: SectionView,
+ *   warnings: string[],
+ *   geometryBounds: { xMin:number, yMin:number, minX:number, minY:number, maxX:number, maxY:number, width:number, height:number },
+ *   annotationBounds: { xMin:number, yMin:number, minX:number, minY:number, maxX:number, maxY:number, width:number, height:number }
+ * }}
+ */
+export function generateSectionSvg(saunaConfig, options = {}) {
+  const view = options.view === "transverse" ? "transverse" : "longitudinal";
+  const warnings = [];
+
+  const barrelLength = cm(Math.max(0, Number(saunaConfig.barrelLength) || 0));
+  const barrelWidth = cm(Math.max(0, Number(saunaConfig.barrelWidth) || 0));
+  const footSpecs = resolveFootSpecs(saunaConfig);
+  const firstFoot = footSpecs[0];
+  const foundation = firstFoot.foundation;
+  const foundationDepth = cm(Math.max(0, Number(saunaConfig.foundationDepth) || 0));
+  const footHeight = cm(SCHEMATIC_FOOT_HEIGHT_CM);
+
+  if (foundationDepth <= 0) {
+    warnings.push("Warnung: Frosttiefe ist ungueltig (foundationDepth <= 0). Schnitt ohne Fundamenttiefe.");
+  }
+
+  const dimTextFontSizePx = Math.max(9, Number(options.typography?.dimTextFontSizePx) || DEFAULT_DIM_TEXT_FONT_SIZE_PX);
+
+  const svg = createEl("svg", {
+    xmlns: SVG_NS,
+    role: "img",
+    "aria-label": options.title || (view === "transverse" ? "Querschnitt" : "Laengsschnitt"),
+  });
+
+  svg.appendChild(createDefs());
+  svg.appendChild(createLayerStyle(dimTextFontSizePx, SECTION_CSS));
+
+  const gGeometry = createEl("g", { class: "geometry-group layer-geometry", "data-group": "geometry" });
+  const gAnnotation = createEl("g", { class: "annotation-group layer-annotation", "data-group": "annotation" });
+
+  const gSoil = createEl("g", { class: "layer-soil" });
+  const gFoundation = createEl("g", { class: "layer-foundation" });
+  const gRebar = createEl("g", { class: "layer-rebar" });
+  const gFeet = createEl("g", { class: "layer-feet" });
+  const gBarrel = createEl("g", { class: "layer-barrel" });
+  const gGround = createEl("g", { class: "layer-ground" });
+  const gGuides = createEl("g", { class: "layer-guides" });
+  const gDims = createEl("g", { class: "layer-dimensions" });
+  const gText = createEl("g", { class: "layer-text" });
+
+  gGeometry.appendChild(gSoil);
+  gGeometry.appendChild(gFoundation);
+  gGeometry.appendChild(gRebar);
+  gGeometry.appendChild(gFeet);
+  gGeometry.appendChild(gBarrel);
+  gGeometry.appendChild(gGround);
+
+  gAnnotation.appendChild(gGuides);
+  gAnnotation.appendChild(gDims);
+  gAnnotation.appendChild(gText);
+
+  // Horizontale Abschnitte (Mitte + Breite) fuer Fundamente und Fuesse je nach Schnittrichtung.
+  // body: zugehoeriger Koerper aus dem Bewehrungsvorschlag, sofern vorhanden.
+  /** @type {{ cx:number, width:number, body?: import("./reinforcementPlanner.js").ReinforcedBody }[]} */
+  const strips = [];
+  const reinforcedBodies = options.reinforcement ? options.reinforcement.bodies : [];
+  /** @type {{ cx:number, width:number }[]} */
+  const feet = [];
+  const barrelBottomY = -footHeight;
+  let barrelMinX;
+  let barrelMaxX;
+
+  if (view === "longitudinal") {
+    // Gleiche Lage wie in der Draufsicht: erster Fuss um den vorderen Ueberstand versetzt.
+    const centersCm = computeFootCenters(saunaConfig);
+    const firstCenterCm = centersCm[0];
+    const originX = -barrelLength / 2 + cm(computeFirstFootOffset(saunaConfig));
+    centersCm.forEach((centerCm, i) => {
+      const cx = originX + cm(centerCm - firstCenterCm);
+      const body = reinforcedBodies.find((item) => item.footIndex === i);
+      strips.push({ cx, width: cm(footSpecs[i].foundation.sizeY), body });
+      feet.push({ cx, width: cm(footSpecs[i].footThickness) });
+    });
+    barrelMinX = -barrelLength / 2;
+    barrelMaxX = barrelLength / 2;
+    gBarrel.appendChild(
+      createEl("rect", {
+        x: barrelMinX,
+        y: barrelBottomY - barrelWidth,
+        width: barrelLength,
+        height: barrelWidth,
+      })
+    );
+  } else {
+    const firstFootBodies = reinforcedBodies.filter((item) => item.footIndex === firstFoot.index);
+    foundation.offsetsX.forEach((offsetX, i) => {
+      strips.push({ cx: cm(offsetX), width: cm(foundation.sizeX), body: firstFootBodies[i] });
+    });
+    feet.push({ cx: 0, width: cm(firstFoot.footWidth) });
+    barrelMinX = -barrelWidth / 2;
+    barrelMaxX = barrelWidth / 2;
+    gBarrel.appendChild(
+      createEl("circle", {
+        cx: 0,
+        cy: barrelBottomY - barrelWidth / 2,
+        r: barrelWidth / 2,
+      })
+    );
+  }
+
+  const stripMinX = Math.min(...strips.map((strip) => strip.cx - strip.width / 2));
+  const stripMaxX = Math.max(...strips.map((strip) => strip.cx + strip.width / 2));
+  const soilMinX = Math.min(stripMinX, barrelMinX) - cm(SOIL_MARGIN_CM);
+  const soilMaxX = Math.max(stripMaxX, barrelMaxX) + cm(SOIL_MARGIN_CM);
+  const soilMaxY = foundationDepth + cm(SOIL_MARGIN_CM);
+
+  gSoil.appendChild(createEl("rect", { x: soilMinX, y: 0, width: soilMaxX - soilMinX, height: soilMaxY }));
+
+  for (const strip of strips) {
+    gFoundation.appendChild(
+      createEl("rect", { x: strip.cx - strip.width / 2, y: 0, width: strip.width, height: foundationDepth })
+    );
+  }
+  for (const strip of strips) {
+    if (strip.body && foundationDepth > 0) {
+      drawReinforcement(gRebar, strip.body, strip.cx, foundationDepth, view);
+    }
+  }
+  for (const foot of feet) {
+    gFeet.appendChild(
+      createEl("rect", { x: foot.cx - foot.width / 2, y: -footHeight, width: foot.width, height: footHeight })
+    );
+  }
+
+  gGround.appendChild(createEl("line", { x1: soilMinX, y1: 0, x2: soilMaxX, y2: 0 }));
+
+  const geometryBounds = createBounds(soilMinX, barrelBottomY - barrelWidth, soilMaxX, soilMaxY);
+
+  let annotationMinX = Number.POSITIVE_INFINITY;
+  let annotationMaxX = Number.NEGATIVE_INFINITY;
+  let annotationMinY = Number.POSITIVE_INFINITY;
+  let annotationMaxY = Number.NEGATIVE_INFINITY;
+
+  const trackAnnotation = (bounds) => {
+    if (!bounds) return;
+    annotationMinX = Math.min(annotationMinX, bounds.minX);
+    annotationMaxX = Math.max(annotationMaxX, bounds.maxX);
+    annotationMinY = Math.min(annotationMinY, bounds.minY);
+    annotationMaxY = Math.max(annotationMaxY, bounds.maxY);
+  };
+
+  const firstStrip = strips[0];
+  const firstStripMinX = firstStrip.cx - firstStrip.width / 2;
+  const firstStripMaxX = firstStrip.cx + firstStrip.width / 2;
+
+  // Frosttiefe links neben dem Schnitt, von GOK bis Fundamentsohle
+  const depthText = `Frosttiefe: ${formatCm(Number(saunaConfig.foundationDepth) || 0)}`;
+  const depthTextX = soilMinX - cm(15);
+  trackAnnotation({
+    minX: depthTextX - estimateTextWidth(depthText, dimTextFontSizePx),
+    minY: foundationDepth / 2 - dimTextFontSizePx,
+    maxX: depthTextX,
+    maxY: foundationDepth / 2 + dimTextFontSizePx,
+  });
+  trackAnnotation(
+    drawDimension({
+      x1: soilMinX,
+      y1: 0,
+      x2: soilMinX,
+      y2: foundationDepth,
+      offset: -cm(12),
+      text: depthText,
+      orientation: "vertical",
+      guidesGroup: gGuides,
+      dimGroup: gDims,
+      textGroup: gText,
+      textXOverride: depthTextX,
+      textAnchorOverride: "end",
+      rotateText: false,
+      fontSizePx: dimTextFontSizePx,
+    })
+  );
+
+  // Streifenbreite im Schnitt unter der Fundamentsohle
+  trackAnnotation(
+    drawDimension({
+      x1: firstStripMinX,
+      y1: foundationDepth,
+      x2: firstStripMaxX,
+      y2: foundationDepth,
+      offset: cm(12),
+      text: view === "transverse" && foundation.type === "strip"
+        ? `Fundamentl\u00E4nge: ${formatCm(foundation.sizeX)}`
+        : `${formatCm(view === "transverse" ? foundation.sizeX : foundation.sizeY)}`,
+      orientation: "horizontal",
+      guidesGroup: gGuides,
+      dimGroup: gDims,
+      textGroup: gText,
+      fontSizePx: dimTextFontSizePx,
+    })
+  );
+
+  // Fassmass oberhalb des Fasses
+  trackAnnotation(
+    drawDimension({
+      x1: barrelMinX,
+      y1: barrelBottomY - barrelWidth,
+      x2: barrelMaxX,
+      y2: barrelBottomY - barrelWidth,
+      offset: -cm(20),
+      text: view === "transverse"
+        ? `Saunafassbreite: ${formatCm(Number(saunaConfig.barrelWidth) || 0)}`
+        : `Saunafassl\u00E4nge: ${formatCm(Number(saunaConfig.barrelLength) || 0)}`,
+      orientation: "horizontal",
+      guidesGroup: gGuides,
+      dimGroup: gDims,
+      textGroup: gText,
+      fontSizePx: dimTextFontSizePx,
+    })
+  );
+
+  const groundLabel = "GOK \u00B10";
+  const groundLabelX = soilMaxX + cm(2);
+  gText.appendChild(
+    createEl("text", { x: groundLabelX, y: 0, "text-anchor": "start", "dominant-baseline": "middle" }, groundLabel)
+  );
+  trackAnnotation({
+    minX: groundLabelX,
+    minY: -dimTextFontSizePx,
+    maxX: groundLabelX + estimateTextWidth(groundLabel, dimTextFontSizePx),
+    maxY: dimTextFontSizePx,
+  });
+
+  const annotationBounds = Number.isFinite(annotationMinX)
+    ? createBounds(annotationMinX, annotationMinY, annotationMaxX, annotationMaxY)
+    : { ...geometryBounds };
+
+  const fullMinX = Math.min(geometryBounds.minX, annotationBounds.minX);
+  const fullMinY = Math.min(geometryBounds.minY, annotationBounds.minY);
+  const fullMaxX = Math.max(geometryBounds.maxX, annotationBounds.maxX);
+  const fullMaxY = Math.max(geometryBounds.maxY, annotationBounds.maxY);
+
+  svg.setAttribute("viewBox", `${Math.floor(fullMinX)} ${Math.floor(fullMinY)} ${Math.ceil(fullMaxX - fullMinX)} ${Math.ceil(fullMaxY - fullMinY)}`);
+
+  svg.appendChild(gGeometry);
+  svg.appendChild(gAnnotation);
+
+  return { svgElement: svg, view, warnings, geometryBounds, annotationBounds };
+}
+
+/**
+ * Stabquerschnitte als Punkte, geschnittene Staebe in Zeichenebene als Linien.
+ * Im Laengsschnitt liegen die x-Staebe quer zur Zeichenebene, im Querschnitt die y-Staebe.
+ * @param {SVGGElement} group
+ * @param {import("./reinforcementPlanner.js").ReinforcedBody} body
+ * @param {number} cx Koerpermitte im SVG
+ * @param {number} soleY Fundamentsohle im SVG
+ * @param {SectionView} view
+ */
+function drawReinforcement(group, body, cx, soleY, view) {
+  const [acrossBars, alongBars] = view === "longitudinal" ? [body.barsX, body.barsY] : [body.barsY, body.barsX];
+
+  if (alongBars) {
+    for (const height of alongBars.heightsCm) {
+      group.appendChild(
+        createEl("line", {
+          x1: cx - cm(alongBars.lengthCm) / 2,
+          y1: soleY - cm(height),
+          x2: cx + cm(alongBars.lengthCm) / 2,
+          y2: soleY - cm(height),
+        })
+      );
+    }
+  }
+
+  if (body.stirrups) {
+    const { widthCm, heightCm, bottomCm, offsetsCm } = body.stirrups;
+    const top = soleY - cm(bottomCm + heightCm);
+    if (view === "longitudinal") {
+      group.appendChild(createEl("rect", { x: cx - cm(widthCm) / 2, y: top, width: cm(widthCm), height: cm(heightCm) }));
+    } else {
+      for (const offset of offsetsCm) {
+        group.appendChild(createEl("line", { x1: cx + cm(offset), y1: top, x2: cx + cm(offset), y2: soleY - cm(bottomCm) }));
+      }
+    }
+  }
+
+  if (acrossBars) {
+    const radius = cm(Math.max(acrossBars.diameterMm / 20, 1.2));
+    for (const height of acrossBars.heightsCm) {
+      for (const offset of acrossBars.offsetsCm) {
+        group.appendChild(createEl("circle", { cx: cx + cm(offset), cy: soleY - cm(height), r: radius }));
+      }
+    }
+  }
+}
@@ -0,0 +1,223 @@
+﻿export const SVG_NS = "http://www.w3.org/2000/svg";
+export const SCALE = 10; // 1 cm = 10 SVG units
+export const DEFAULT_DIM_TEXT_FONT_SIZE_PX = 13;
+
+export function drawDimension({
+  x1,
+  y1,
+  x2,
+  y2,
+  offset,
+  text,
+  orientation,
+  guidesGroup,
+  dimGroup,
+  textGroup,
+  textXOverride,
+  textAnchorOverride,
+  textOffsetOverride,
+  rotateText = true,
+  fontSizePx = DEFAULT_DIM_TEXT_FONT_SIZE_PX,
+}) {
+  const extensionOvershoot = cm(0.8); // 8 mm
+  const objectGap = cm(0.4); // 4 mm
+  const defaultTextOffset = cm(2.8);
+  const textOffset = Number.isFinite(Number(textOffsetOverride)) ? Number(textOffsetOverride) : defaultTextOffset;
+  const markerPad = cm(1.8);
+  const fontSize = Math.max(9, Number(fontSizePx) || DEFAULT_DIM_TEXT_FONT_SIZE_PX);
+
+  if (orientation === "horizontal") {
+    const direction = offset >= 0 ? 1 : -1;
+    const baseY = (y1 + y2) / 2;
+    const dimY = baseY + offset;
+    const extStartY = baseY + direction * objectGap;
+    const extEndY = dimY + direction * extensionOvershoot;
+
+    guidesGroup.appendChild(createEl("line", { x1, y1: extStartY, x2: x1, y2: extEndY }));
+    guidesGroup.appendChild(createEl("line", { x1: x2, y1: extStartY, x2, y2: extEndY }));
+    dimGroup.appendChild(createEl("line", { x1, y1: dimY, x2, y2: dimY }));
+
+    const textX = (x1 + x2) / 2;
+    // Horizontale Massbeschriftung immer unter der Masslinie platzieren.
+    const textY = dimY + textOffset;
+    textGroup.appendChild(
+      createEl(
+        "text",
+        { x: textX, y: textY, "text-anchor": textAnchorOverride || "middle", "dominant-baseline": "hanging" },
+        text
+      )
+    );
+
+    const textWidth = estimateTextWidth(text, fontSize);
+    return {
+      minX: Math.min(x1, x2, textX - textWidth / 2) - markerPad,
+      minY: Math.min(extStartY, extEndY, dimY, textY - fontSize) - markerPad,
+      maxX: Math.max(x1, x2, textX + textWidth / 2) + markerPad,
+      maxY: Math.max(extStartY, extEndY, dimY, textY) + markerPad,
+    };
+  }
+
+  const direction = offset >= 0 ? 1 : -1;
+  const baseX = (x1 + x2) / 2;
+  const dimX = baseX + offset;
+  const extStartX = baseX + direction * objectGap;
+  const extEndX = dimX + direction * extensionOvershoot;
+
+  guidesGroup.appendChild(createEl("line", { x1: extStartX, y1, x2: extEndX, y2: y1 }));
+  guidesGroup.appendChild(createEl("line", { x1: extStartX, y1: y2, x2: extEndX, y2 }));
+  dimGroup.appendChild(createEl("line", { x1: dimX, y1, x2: dimX, y2 }));
+
+  const textX = dimX + direction * textOffset;
+  const textY = (y1 + y2) / 2;
+  const finalTextX = Number.isFinite(Number(textXOverride)) ? Number(textXOverride) : textX;
+  const finalTextAnchor = textAnchorOverride || "middle";
+  textGroup.appendChild(
+    rotateText
+      ? createEl(
+          "text",
+          {
+            x: finalTextX,
+            y: textY,
+            transform: `rotate(90 ${finalTextX} ${textY})`,
+            "text-anchor": finalTextAnchor,
+          },
+          text
+        )
+      : createEl(
+          "text",
+          {
+            x: finalTextX,
+            y: textY,
+            "text-anchor": finalTextAnchor,
+            "dominant-baseline": "middle",
+          },
+          text
+        )
+  );
+
+  const textWidth = estimateTextWidth(text, fontSize);
+  const textHalfSpanY = rotateText ? textWidth / 2 : fontSize / 2;
+  const textHalfSpanX = rotateText ? fontSize / 2 : textWidth / 2;
+  return {
+    minX: Math.min(extStartX, extEndX, dimX, finalTextX - textHalfSpanX) - markerPad,
+    minY: Math.min(y1, y2, textY - textHalfSpanY) - markerPad,
+    maxX: Math.max(extStartX, extEndX, dimX, finalTextX + textHalfSpanX) + markerPad,
+    maxY: Math.max(y1, y2, textY + textHalfSpanY) + markerPad,
+  };
+}
+
+export function createLayerStyle(dimTextFontSizePx, extraCss = "") {
+  const style = createEl("style");
+  style.textContent = `
+    .layer-barrel rect,
+    .layer-barrel circle {
+      fill: #f3f4f6;
+      stroke: #111827;
+      stroke-width: 2.4;
+      vector-effect: non-scaling-stroke;
+    }
+    .layer-foundation rect {
+      fill: #374151;
+      stroke: #000000;
+      stroke-width: 3.6;
+      vector-effect: non-scaling-stroke;
+      opacity: 0.96;
+    }
+    .layer-feet rect {
+      fill: #f59e0b;
+      stroke: #78350f;
+      stroke-width: 2.8;
+      vector-effect: non-scaling-stroke;
+      opacity: 0.98;
+    }
+    .layer-guides line {
+      stroke: #4b5563;
+      stroke-width: 1.5;
+      vector-effect: non-scaling-stroke;
+    }
+    .layer-dimensions line {
+      stroke: #0f172a;
+      stroke-width: 2;
+      vector-effect: non-scaling-stroke;
+      marker-start: url(#dim-arrow);
+      marker-end: url(#dim-arrow);
+    }
+    .layer-text text {
+      fill: #111827;
+      font-family: 'Segoe UI', Tahoma, sans-serif;
+      font-size: ${dimTextFontSizePx}px;
+      font-weight: 600;
+    }
+    ${extraCss}
+  `;
+  return style;
+}
+
+export function createDefs() {
+  const defs = createEl("defs");
+  const marker = createEl("marker", {
+    id: "dim-arrow",
+    viewBox: "0 0 10 10",
+    refX: "9",
+    refY: "5",
+    markerWidth: "6",
+    markerHeight: "6",
+    orient: "auto-start-reverse",
+    markerUnits: "strokeWidth",
+  });
+  marker.appendChild(createEl("path", { d: "M 0 0 L 10 5 L 0 10 z", fill: "#0f172a" }));
+  defs.appendChild(marker);
+  return defs;
+}
+
+export function createRectFromCenter(cx, cy, width, height) {
+  return createEl("rect", {
+    x: cx - width / 2,
+    y: cy - height / 2,
+    width,
+    height,
+  });
+}
+
+export function createEl(name, attrs = {}, textContent = "") {
+  const element = document.createElementNS(SVG_NS, name);
+  for (const [key, value] of Object.entries(attrs)) {
+    element.setAttribute(key, String(value));
+  }
+  if (textContent) {
+    element.textContent = textContent;
+  }
+  return element;
+}
+
+export function createBounds(minX, minY, maxX, maxY) {
+  const width = Math.max(1, maxX - minX);
+  const height = Math.max(1, maxY - minY);
+  return {
+    xMin: minX,
+    yMin: minY,
+    minX,
+    minY,
+    maxX,
+    maxY,
+    width,
+    height,
+  };
+}
+
+export function estimateTextWidth(text, fontSize = 14) {
+  return String(text || "").length * (fontSize * 0.56);
+}
+
+export function cm(value) {
+  return (Number(value) || 0) * SCALE;
+}
+
+export function yUpToSvg(valueYUp) {
+  return -valueYUp;
+}
+
+export function formatCm(value) {
+  const number = Number(value) || 0;
+  return Number.isInteger(number) ? String(number) : number.toFixed(2);
+}
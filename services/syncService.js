@@ -0,0 +1,175 @@
+﻿import { sanitizeSauna } from "../domain/sauna.js";
+import { diffSaunas, mergeSaunas } from "../domain/saunaDiff.js";
+import { REVISION_CONFLICT } from "./restBackend.js";
+import { commitSyncResult, getAll, getById, getOutbox, getSyncBases } from "./saunaStore.js";
+
+/**
+ * Beide Seiten haben ein Modell seit dem letzten Abgleich inhaltlich verschieden geaendert.
+ * @typedef {Object} SyncConflict
+ * @property {import("../domain/sauna.js").Sauna} local
+ * @property {import("../domain/sauna.js").Sauna} remote
+ * @property {object} record Server-Datensatz, wie geliefert (Grundlage des Abgleichstands)
+ * @property {import("../domain/saunaDiff.js").SaunaFieldChange[]} changes before = Server, after = lokal
+ * @property {string=} queuedAt Warteschlangeneintrag des lokalen Stands
+ */
+
+/**
+ * @typedef {Object} SyncResult
+ * @property {number} pushed
+ * @property {number} pulled
+ * @property {SyncConflict[]} conflicts
+ * @property {string[]} warnings
+ */
+
+/**
+ * Gleicht die lokale Ablage mit einem entfernten Backend ab (Offline-first: IndexedDB bleibt fuehrend).
+ * Je Modell wird der Abgleichstand (revision, updatedAt) mit dem Server verglichen:
+ * - nur lokal geaendert (Warteschlange oder noch nie abgeglichen): hochladen bzw. auf dem Server loeschen
+ * - nur auf dem Server geaendert: herunterladen bzw. lokal loeschen
+ * - beidseitig geaendert: bei gleichem Inhalt den hoeheren Stand uebernehmen, sonst Konflikt
+ * Loeschen gegen Aendern entscheidet immer fuer die Aenderung. Konflikte bleiben in der Warteschlange,
+ * bis resolveConflict sie aufloest. Ist der Server nicht erreichbar, wirft synchronize.
+ * @param {import("./saunaStore.js").SaunaBackend} remote
+ * @returns {Promise<SyncResult>}
+ */
+export async function synchronize(remote) {
+  const remoteList = await remote.list();
+  const [localList, outbox, bases] = await Promise.all([getAll(), getOutbox(), getSyncBases()]);
+
+  const remoteById = new Map(remoteList.map((record) => [record.id, record]));
+  const localById = new Map(localList.map((sauna) => [sauna.id, sauna]));
+  const pendingById = new Map(outbox.map((entry) => [entry.saunaId, entry]));
+  const baseById = new Map(bases.map((base) => [base.saunaId, base]));
+  const ids = new Set([...pendingById.keys(), ...localById.keys(), ...remoteById.keys(), ...baseById.keys()]);
+
+  /** @type {SyncResult} */
+  const result = { pushed: 0, pulled: 0, conflicts: [], warnings: [] };
+
+  for (const id of ids) {
+    const local = localById.get(id) || null;
+    const remoteRecord = remoteById.get(id) || null;
+    const base = baseById.get(id) || null;
+    const queuedAt = pendingById.get(id)?.queuedAt;
+
+    const localChanged = Boolean(queuedAt) || Boolean(local && !base);
+    const remoteChanged = remoteRecord ? !base || !isSameVersion(base, remoteRecord) : Boolean(base);
+    if (!localChanged && !remoteChanged) continue;
+
+    if (!local && !remoteRecord) {
+      await commitSyncResult(id, { base: null, queuedAt });
+      continue;
+    }
+
+    try {
+      if (!remoteChanged) {
+        if (await pushLocal(remote, id, local, queuedAt)) result.pushed += 1;
+      } else if (!localChanged) {
+        if (await pullRemote(remote, id, queuedAt)) result.pulled += 1;
+      } else if (!local) {
+        // Lokal geloescht, auf dem Server weiter bearbeitet: der bearbeitete Stand bleibt.
+        if (await pullRemote(remote, id, queuedAt)) {
+          result.pulled += 1;
+          result.warnings.push(`"${remoteRecord.name}" wurde auf dem Server geaendert und lokal wiederhergestellt.`);
+        }
+      } else if (!remoteRecord) {
+        if (await pushLocal(remote, id, local, queuedAt)) {
+          result.pushed += 1;
+          result.warnings.push(`"${local.name}" war auf dem Server geloescht und wurde erneut hochgeladen.`);
+        }
+      } else {
+        const conflict = await compareVersions(remote, id, queuedAt);
+        if (conflict) {
+          result.conflicts.push(conflict);
+        } else {
+          result.pulled += 1;
+        }
+      }
+    } catch (error) {
+      const name = local?.name || remoteRecord?.name || id;
+      // Der Server wurde zwischen Liste und Hochladen geaendert; die Aenderung bleibt in der Warteschlange.
+      result.warnings.push(error.code === REVISION_CONFLICT
+        ? `"${name}" wurde waehrend des Abgleichs auf dem Server geaendert und wird beim naechsten Abgleich geprueft.`
+        : `Abgleich von "${name}" fehlgeschlagen: ${error.message}`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Loest einen Konflikt auf: Ausgangspunkt ist der lokale Stand, remotePaths uebernehmen Felder vom Server.
+ * Das Ergebnis erhaelt eine Revision oberhalb beider Staende und wird auf den Server und lokal geschrieben.
+ * Kommen alle Felder vom Server, wird nur dessen Stand uebernommen.
+ * Wurde der Server inzwischen erneut geaendert, wirft die Funktion mit error.code === REVISION_CONFLICT.
+ * @param {import("./saunaStore.js").SaunaBackend} remote
+ * @param {SyncConflict} conflict
+ * @param {string[]} remotePaths
+ * @returns {Promise<import("../domain/sauna.js").Sauna>} neuer Stand
+ */
+export async function resolveConflict(remote, conflict, remotePaths) {
+  const { local, queuedAt } = conflict;
+  const fromRemote = new Set(remotePaths);
+
+  if (conflict.changes.every((change) => fromRemote.has(change.path))) {
+    await commitSyncResult(local.id, { sauna: conflict.remote, base: toBase(conflict.record), queuedAt });
+    return conflict.remote;
+  }
+
+  const merged = sanitizeSauna({
+    ...mergeSaunas(local, conflict.remote, [...fromRemote]),
+    revision: Math.max(local.revision, conflict.remote.revision) + 1,
+    createdAt: conflict.remote.createdAt,
+    updatedAt: new Date().toISOString(),
+  });
+  await remote.put(merged);
+  await commitSyncResult(local.id, { sauna: merged, base: toBase(merged), queuedAt });
+  return merged;
+}
+
+async function pushLocal(remote, id, local, queuedAt) {
+  if (!local) {
+    await remote.remove(id);
+    return commitSyncResult(id, { base: null, queuedAt });
+  }
+  const full = await getById(id);
+  if (!full) return false;
+  await remote.put(full);
+  return commitSyncResult(id, { base: toBase(full), queuedAt });
+}
+
+async function pullRemote(remote, id, queuedAt) {
+  const record = await remote.get(id);
+  return commitSyncResult(id, { sauna: record ? sanitizeSauna(record) : null, base: record ? toBase(record) : null, queuedAt });
+}
+
+/**
+ * Beide Seiten geaendert: gleiche Inhalte werden still zusammengefuehrt, sonst entsteht ein Konflikt.
+ * @returns {Promise<SyncConflict | null>}
+ */
+async function compareVersions(remote, id, queuedAt) {
+  const [local, record] = await Promise.all([getById(id), remote.get(id)]);
+  if (!local || !record) return null;
+  const remoteSauna = sanitizeSauna(record);
+  const changes = diffSaunas(remoteSauna, local);
+  if (changes.length > 0) {
+    return { local, remote: remoteSauna, record, changes, queuedAt };
+  }
+
+  if (remoteSauna.revision >= local.revision) {
+    await commitSyncResult(id, { sauna: remoteSauna, base: toBase(record), queuedAt });
+  } else {
+    await remote.put(local);
+    await commitSyncResult(id, { base: toBase(local), queuedAt });
+  }
+  return null;
+}
+
+// Abgleichstand aus dem Datensatz, wie ihn der Server liefert; Seed-Modelle dort haben z. B. kein updatedAt.
+function toBase(record) {
+  return { revision: Number(record.revision) || 0, updatedAt: typeof record.updatedAt === "string" ? record.updatedAt : "" };
+}
+
+function isSameVersion(base, record) {
+  const current = toBase(record);
+  return base.revision === current.revision && base.updatedAt === current.updatedAt;
+}